@@ -2,7 +2,17 @@
 const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { MongoClient, ObjectId } = require("mongodb");
+const { createRemoteJWKSet, importSPKI, jwtVerify } = require("jose");
+const nodemailer = require("nodemailer");
+const undici = require("undici");
 
 dotenv.config();
 
@@ -10,6 +20,8 @@ const app = express();
 
 const uri = process.env.MONGO_URI;
 const port = process.env.PORT || 8000;
+const clientUrl =
+  process.env.CLIENT_URL || "https://social-events-platform-1fe94.web.app";
 
 app.use(
   cors({
@@ -17,12 +29,31 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+// Bulk imports parse their body on their own route, with a larger limit
+// and only after the admin check
+const IMPORT_BODY_LIMIT = "2mb";
+const parseJson = express.json();
+app.use((req, res, next) =>
+  req.path === "/events/import" ? next() : parseJson(req, res, next)
+);
+
+// Behind Vercel's proxy the client address is in X-Forwarded-For
+if (process.env.VERCEL) app.set("trust proxy", true);
 
 let client;
 let db;
 let eventsCollection;
 let joinedCollection;
+let usersCollection;
+let commentsCollection;
+let reviewsCollection;
+let notificationsCollection;
+let auditCollection;
+let organizationsCollection;
+let hourAdjustmentsCollection;
+let certificatesCollection;
+let webhooksCollection;
+let webhookDeliveriesCollection;
 let isDbReady = false;
 
 async function initDb() {
@@ -40,17 +71,135 @@ async function initDb() {
     },
   });
 
-  await client.connect();
-
   db = client.db("social_events");
   eventsCollection = db.collection("events");
   joinedCollection = db.collection("joinedEvents");
   usersCollection = db.collection("users");
+  commentsCollection = db.collection("comments");
+  reviewsCollection = db.collection("reviews");
+  notificationsCollection = db.collection("notifications");
+  auditCollection = db.collection("auditLog");
+  organizationsCollection = db.collection("organizations");
+  hourAdjustmentsCollection = db.collection("hourAdjustments");
+  certificatesCollection = db.collection("certificates");
+  webhooksCollection = db.collection("webhooks");
+  webhookDeliveriesCollection = db.collection("webhookDeliveries");
+
+  try {
+    await client.connect();
+    await ensureIndexes();
+  } catch (err) {
+    // Every request retries initDb, so a failed attempt must not leave its
+    // client open
+    await client.close().catch(() => {});
+    throw err;
+  }
 
   isDbReady = true;
   console.log("✅ Connected to MongoDB");
 }
 
+// The Stable API (strict) does not allow text indexes, so search runs on a
+// multikey index over a `keywords` array maintained on every event.
+async function ensureIndexes() {
+  await eventsCollection.createIndexes([
+    { key: { eventDate: 1 } },
+    { key: { status: 1, eventDate: 1 } },
+    { key: { eventType: 1, eventDate: 1 } },
+    { key: { creatorEmail: 1, eventDate: 1 } },
+    { key: { keywords: 1 } },
+    { key: { seriesId: 1, eventDate: 1 } },
+    { key: { geo: "2dsphere" } },
+    { key: { deletedAt: 1 } },
+    { key: { status: 1, publishAt: 1 } },
+    { key: { externalId: 1 }, unique: true, sparse: true },
+    { key: { coOrganizers: 1 } },
+    { key: { organizationId: 1 } },
+  ]);
+  const joinIndexes = [
+    // One join per user and event; a withdrawn join is reused on re-joining
+    { key: { eventId: 1, userEmail: 1 }, unique: true },
+    { key: { userEmail: 1, eventDate: 1 } },
+    { key: { eventId: 1, status: 1, joinedAt: 1 } },
+    { key: { eventId: 1, checkInCode: 1 } },
+    { key: { eventId: 1, "shift._id": 1, status: 1 } },
+  ];
+  try {
+    await joinedCollection.createIndexes(joinIndexes);
+  } catch (err) {
+    // The old join flow could store a join twice, which keeps the unique
+    // index from being built until the extra ones are gone
+    if (err.code !== 11000) throw err;
+    await removeDuplicateJoins();
+    await joinedCollection.createIndexes(joinIndexes);
+  }
+  await commentsCollection.createIndex({
+    eventId: 1,
+    pinned: -1,
+    createdAt: 1,
+  });
+  await reviewsCollection.createIndexes([
+    { key: { eventId: 1, userEmail: 1 }, unique: true },
+    { key: { creatorEmail: 1 } },
+  ]);
+  await notificationsCollection.createIndexes([
+    { key: { status: 1, nextAttemptAt: 1 } },
+    { key: { dedupeKey: 1 }, unique: true, sparse: true },
+  ]);
+  await auditCollection.createIndexes([
+    { key: { createdAt: -1 } },
+    { key: { actor: 1, createdAt: -1 } },
+    { key: { targetType: 1, targetId: 1, createdAt: -1 } },
+  ]);
+  await organizationsCollection.createIndex({ "members.email": 1 });
+  await hourAdjustmentsCollection.createIndexes([
+    { key: { userEmail: 1, status: 1 } },
+    { key: { eventId: 1, status: 1 } },
+  ]);
+  await certificatesCollection.createIndexes([
+    { key: { code: 1 }, unique: true },
+    { key: { eventId: 1, userEmail: 1 }, unique: true },
+  ]);
+  await webhooksCollection.createIndexes([
+    { key: { active: 1, events: 1 } },
+    { key: { createdBy: 1 } },
+    { key: { organizationId: 1 } },
+  ]);
+  await webhookDeliveriesCollection.createIndexes([
+    { key: { status: 1, nextAttemptAt: 1 } },
+    { key: { webhookId: 1, createdAt: -1 } },
+  ]);
+  await usersCollection.createIndexes([
+    { key: { email: 1 } },
+    { key: { calendarToken: 1 }, unique: true, sparse: true },
+  ]);
+
+  // Backfill seat counters for events created before they existed
+  const uncounted = await eventsCollection
+    .find({ seatsTaken: { $exists: false } }, { projection: { _id: 1 } })
+    .toArray();
+  for (const event of uncounted) {
+    await eventsCollection.updateOne(
+      { _id: event._id },
+      { $set: await countSeats(event._id) }
+    );
+  }
+
+  // Backfill keywords for events created before search existed, and fix
+  // drafts that got "undefined" for a missing field
+  const missing = await eventsCollection
+    .find({
+      $or: [{ keywords: { $exists: false } }, { keywords: "undefined" }],
+    })
+    .toArray();
+  for (const event of missing) {
+    await eventsCollection.updateOne(
+      { _id: event._id },
+      { $set: { keywords: buildKeywords(event) } }
+    );
+  }
+}
+
 // Ensure DB is ready before handling any route
 app.use(async (req, res, next) => {
   try {
@@ -66,48 +215,811 @@ app.use(async (req, res, next) => {
   }
 });
 
+// ========== AUTHENTICATION ==========
+
+// ID tokens are verified against a remote JWKS (AUTH_JWKS_URI, e.g. the
+// Firebase securetoken endpoint) or, for local testing, a PEM public key
+// (AUTH_PUBLIC_KEY). AUTH_ISSUER and AUTH_AUDIENCE are checked when set, and
+// a JWKS needs both: a shared JWKS like Firebase's signs tokens for every
+// project, so without them any project's users would be let in.
+let authKey;
+
+async function getAuthKey() {
+  if (authKey) return authKey;
+
+  const algorithm = process.env.AUTH_ALGORITHM || "RS256";
+
+  if (process.env.AUTH_JWKS_URI) {
+    if (!process.env.AUTH_ISSUER || !process.env.AUTH_AUDIENCE) {
+      throw new Error(
+        "AUTH_ISSUER and AUTH_AUDIENCE must be set when AUTH_JWKS_URI is used."
+      );
+    }
+    authKey = createRemoteJWKSet(new URL(process.env.AUTH_JWKS_URI));
+  } else if (process.env.AUTH_PUBLIC_KEY) {
+    const pem = process.env.AUTH_PUBLIC_KEY.replace(/\\n/g, "\n");
+    authKey = await importSPKI(pem, algorithm);
+  } else {
+    throw new Error(
+      "AUTH_JWKS_URI or AUTH_PUBLIC_KEY must be set in environment variables."
+    );
+  }
+
+  return authKey;
+}
+
+// Verify the bearer ID token and attach the caller to req.user
+async function verifyToken(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      ok: false,
+      message: "Authorization token is required.",
+    });
+  }
+
+  let key;
+  try {
+    key = await getAuthKey();
+  } catch (err) {
+    console.error("Auth config error:", err);
+    return res.status(500).json({
+      ok: false,
+      message: "Authentication is not configured.",
+    });
+  }
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, key, {
+      issuer: process.env.AUTH_ISSUER || undefined,
+      audience: process.env.AUTH_AUDIENCE || undefined,
+    }));
+  } catch {
+    return res.status(401).json({
+      ok: false,
+      message: "Invalid or expired token.",
+    });
+  }
+
+  if (!payload.email) {
+    return res.status(401).json({
+      ok: false,
+      message: "Token does not contain an email.",
+    });
+  }
+
+  // The email is the caller's identity (and admin check), so it has to be
+  // one the identity provider verified
+  if (payload.email_verified !== true) {
+    return res.status(401).json({
+      ok: false,
+      message: "Verify your email address before signing in.",
+    });
+  }
+
+  req.user = {
+    uid: payload.sub,
+    email: payload.email,
+    displayName: payload.name || "",
+    photoURL: payload.picture || "",
+  };
+  next();
+}
+
+// Like verifyToken, but lets anonymous requests through without req.user
+function optionalToken(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return verifyToken(req, res, next);
+}
+
+async function isAdmin(email) {
+  const user = await usersCollection.findOne({ email });
+  return Boolean(user && user.role === "admin");
+}
+
+// Only let through callers whose users document has the admin role.
+// Must run after verifyToken.
+async function verifyAdmin(req, res, next) {
+  try {
+    if (!(await isAdmin(req.user.email))) {
+      return res.status(403).json({
+        ok: false,
+        message: "Admin access required.",
+      });
+    }
+
+    req.user.role = "admin";
+    next();
+  } catch (err) {
+    console.error("Verify admin error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to verify admin access.",
+      error: err.message,
+    });
+  }
+}
+
+// ========== VALIDATION ==========
+
+// Schemas map each field to its rules. validate() checks every field and
+// returns all problems at once, each with a machine-readable code.
+const EVENT_TYPES = [
+  "Cleanup",
+  "Plantation",
+  "Donation",
+  "Awareness",
+  "Health Camp",
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Recurring events are stored as one document per occurrence
+const MAX_OCCURRENCES = 52;
+const MAX_CO_ORGANIZERS = 20;
+const MAX_SHIFTS = 20;
+const WEBHOOK_EVENTS = [
+  "event.created",
+  "event.updated",
+  "event.deleted",
+  "participant.joined",
+  "participant.left",
+];
+// owner and admin manage the members; every member can manage its events
+const ORGANIZATION_ROLES = ["owner", "admin", "member"];
+// The statuses each moderation action applies to and the status it sets.
+// Events without a status (null) count as published.
+const MODERATION_ACTIONS = {
+  approve: {
+    from: ["pending"],
+    to: "published",
+    error: "Only pending events can be approved.",
+  },
+  reject: {
+    from: ["pending"],
+    to: "rejected",
+    error: "Only pending events can be rejected.",
+  },
+  publish: {
+    from: ["unpublished"],
+    to: "published",
+    error: "Only unpublished events can be published again.",
+  },
+  unpublish: {
+    from: [null, "published"],
+    to: "unpublished",
+    error: "Only published events can be unpublished.",
+  },
+};
+
+const recurrenceSchema = {
+  frequency: {
+    type: "string",
+    required: true,
+    enum: ["daily", "weekly", "monthly"],
+  },
+  interval: { type: "integer", min: 1, max: 365 },
+  count: { type: "integer", min: 2, max: MAX_OCCURRENCES },
+  until: { type: "date", future: true },
+};
+
+const eventSchema = {
+  title: { type: "string", required: true, minLength: 3, maxLength: 120 },
+  description: {
+    type: "string",
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+  },
+  eventType: { type: "string", required: true, enum: EVENT_TYPES },
+  thumbnail: { type: "string", required: true, format: "url", maxLength: 2048 },
+  location: { type: "string", required: true, minLength: 2, maxLength: 200 },
+  eventDate: { type: "date", required: true, future: true },
+  capacity: { type: "integer", nullable: true, min: 1, max: 100000 },
+  durationHours: { type: "number", nullable: true, min: 0.25, max: 168 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+  recurrence: { type: "object", schema: recurrenceSchema },
+  draft: { type: "boolean" },
+  publishAt: { type: "date", future: true },
+  organizationId: { type: "string", format: "objectId" },
+};
+
+// Drafts only need a title; the full rules apply when they are published
+const draftEventSchema = Object.fromEntries(
+  Object.entries(eventSchema).map(([field, rules]) => [
+    field,
+    field === "title" ? rules : { ...rules, required: false },
+  ])
+);
+
+const publishSchema = {
+  publishAt: { type: "date", future: true },
+};
+
+// Imported rows are matched on externalId and may describe past events
+const importEventSchema = {
+  externalId: { type: "string", required: true, maxLength: 200 },
+  ...Object.fromEntries(
+    Object.entries(eventSchema).filter(
+      ([field]) =>
+        !["recurrence", "draft", "publishAt", "organizationId"].includes(field)
+    )
+  ),
+  eventDate: { type: "date", required: true },
+  creatorEmail: { type: "string", format: "email" },
+};
+
+// Fallbacks for tokens without a name or picture; the email always comes
+// from the token
+const userSyncSchema = {
+  displayName: { type: "string", maxLength: 100 },
+  photoURL: { type: "string", format: "url", maxLength: 2048 },
+};
+
+const roleSchema = {
+  role: { type: "string", required: true, enum: ["user", "admin"] },
+};
+
+const joinSchema = {
+  eventId: { type: "string", required: true, format: "objectId" },
+  shiftId: { type: "string", format: "objectId" },
+};
+
+const leaveSchema = {
+  eventId: { type: "string", required: true, format: "objectId" },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const checkInSchema = {
+  code: { type: "string", required: true, maxLength: 64 },
+};
+
+const attendanceSchema = {
+  userEmail: { type: "string", required: true, format: "email" },
+  attendance: {
+    type: "string",
+    required: true,
+    enum: ["attended", "no_show"],
+  },
+};
+
+const commentSchema = {
+  body: { type: "string", required: true, maxLength: 2000 },
+};
+
+const pinSchema = {
+  pinned: { type: "boolean", required: true },
+};
+
+const reviewSchema = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  review: { type: "string", maxLength: 2000 },
+};
+
+const notificationPrefsSchema = {
+  optOut: { type: "boolean", required: true },
+};
+
+// `id` keeps an existing shift (and its participants); shifts without one
+// are created
+const shiftSchema = {
+  id: { type: "string", format: "objectId" },
+  name: { type: "string", required: true, minLength: 2, maxLength: 100 },
+  startsAt: { type: "date", required: true },
+  endsAt: { type: "date", required: true },
+  slots: { type: "integer", required: true, min: 1, max: 10000 },
+};
+
+const shiftsSchema = {
+  shifts: {
+    type: "array",
+    required: true,
+    items: { type: "object", schema: shiftSchema },
+    maxItems: MAX_SHIFTS,
+  },
+};
+
+const hoursAdjustmentSchema = {
+  hours: { type: "number", required: true, min: -24, max: 24 },
+  reason: { type: "string", required: true, minLength: 3, maxLength: 500 },
+  userEmail: { type: "string", format: "email" },
+};
+
+const hoursDecisionSchema = {
+  status: { type: "string", required: true, enum: ["approved", "rejected"] },
+  note: { type: "string", maxLength: 500 },
+};
+
+// A webhook without organizationId covers the creator's own events, or
+// every event when created by an admin
+const webhookSchema = {
+  url: { type: "string", required: true, format: "url", maxLength: 2048 },
+  events: {
+    type: "array",
+    required: true,
+    items: { type: "string", enum: WEBHOOK_EVENTS },
+    minItems: 1,
+    unique: true,
+  },
+  organizationId: { type: "string", format: "objectId" },
+  description: { type: "string", maxLength: 200 },
+};
+
+const webhookUpdateSchema = {
+  url: { type: "string", format: "url", maxLength: 2048 },
+  events: {
+    type: "array",
+    items: { type: "string", enum: WEBHOOK_EVENTS },
+    minItems: 1,
+    unique: true,
+  },
+  description: { type: "string", maxLength: 200 },
+  active: { type: "boolean" },
+  rotateSecret: { type: "boolean" },
+};
+
+const organizationSchema = {
+  name: { type: "string", required: true, minLength: 2, maxLength: 120 },
+};
+
+const memberSchema = {
+  email: { type: "string", required: true, format: "email", maxLength: 254 },
+  role: { type: "string", required: true, enum: ORGANIZATION_ROLES },
+};
+
+const moderationSchema = {
+  action: {
+    type: "string",
+    required: true,
+    enum: Object.keys(MODERATION_ACTIONS),
+  },
+  reason: { type: "string", maxLength: 500 },
+};
+
+// organizationId: null detaches the event from its organization
+const organizersSchema = {
+  organizationId: { type: "string", format: "objectId", nullable: true },
+  coOrganizers: {
+    type: "array",
+    items: { type: "string", format: "email", maxLength: 254 },
+    maxItems: MAX_CO_ORGANIZERS,
+    unique: true,
+  },
+};
+
+const FORMATS = {
+  email: {
+    code: "invalid_email",
+    label: "email address",
+    test: (value) => EMAIL_PATTERN.test(value),
+  },
+  url: {
+    code: "invalid_url",
+    label: "http(s) URL",
+    test: (value) => {
+      try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    },
+  },
+  objectId: {
+    code: "invalid_id",
+    label: "id",
+    test: (value) => ObjectId.isValid(value),
+  },
+};
+
+// Numbers may also come as numeric strings (query strings, form posts);
+// anything else, like booleans or arrays, is NaN
+function toNumber(raw) {
+  if (typeof raw === "number") return raw;
+  if (typeof raw === "string" && raw.trim()) return Number(raw);
+  return NaN;
+}
+
+function validateField(field, rules, raw) {
+  const fail = (code, message) => ({ error: { field, code, message } });
+
+  if (raw === undefined || raw === null || raw === "") {
+    if (rules.required) return fail("required", `${field} is required.`);
+    return { value: raw === undefined ? undefined : null };
+  }
+
+  let value = raw;
+
+  if (rules.type === "string") {
+    if (typeof value !== "string") {
+      return fail("invalid_type", `${field} must be a string.`);
+    }
+    value = value.trim();
+    if (rules.required && !value) {
+      return fail("required", `${field} is required.`);
+    }
+    if (rules.minLength && value.length < rules.minLength) {
+      return fail(
+        "too_short",
+        `${field} must be at least ${rules.minLength} characters.`
+      );
+    }
+    if (rules.maxLength && value.length > rules.maxLength) {
+      return fail(
+        "too_long",
+        `${field} must be at most ${rules.maxLength} characters.`
+      );
+    }
+    const format = FORMATS[rules.format];
+    if (format && !format.test(value)) {
+      return fail(format.code, `${field} must be a valid ${format.label}.`);
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+      return fail(
+        "invalid_choice",
+        `${field} must be one of: ${rules.enum.join(", ")}.`
+      );
+    }
+  }
+
+  if (rules.type === "object") {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      return fail("invalid_type", `${field} must be an object.`);
+    }
+    const nested = validate(rules.schema, value, `${field}.`);
+    if (nested.errors.length) return { errors: nested.errors };
+    value = nested.value;
+  }
+
+  if (rules.type === "array") {
+    if (!Array.isArray(value)) {
+      return fail("invalid_type", `${field} must be a list.`);
+    }
+    if (rules.minItems && value.length < rules.minItems) {
+      return fail(
+        "too_few",
+        `${field} needs at least ${rules.minItems} item${
+          rules.minItems === 1 ? "" : "s"
+        }.`
+      );
+    }
+    if (rules.maxItems && value.length > rules.maxItems) {
+      return fail(
+        "too_many",
+        `${field} can have at most ${rules.maxItems} items.`
+      );
+    }
+    const items = value.map((item, i) =>
+      validateField(`${field}.${i}`, { required: true, ...rules.items }, item)
+    );
+    const errors = items.flatMap((item) =>
+      item.error ? [item.error] : item.errors || []
+    );
+    if (errors.length) return { errors };
+    value = items.map((item) => item.value);
+    if (rules.unique) value = [...new Set(value)];
+  }
+
+  if (rules.type === "boolean" && typeof value !== "boolean") {
+    return fail("invalid_type", `${field} must be true or false.`);
+  }
+
+  if (rules.type === "number") {
+    value = toNumber(value);
+    if (!Number.isFinite(value)) {
+      return fail("invalid_number", `${field} must be a number.`);
+    }
+  }
+
+  if (rules.type === "integer") {
+    value = toNumber(value);
+    if (!Number.isInteger(value)) {
+      return fail("invalid_integer", `${field} must be a whole number.`);
+    }
+  }
+
+  if (rules.type === "number" || rules.type === "integer") {
+    if (rules.min !== undefined && value < rules.min) {
+      return fail("too_small", `${field} must be at least ${rules.min}.`);
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      return fail("too_large", `${field} must be at most ${rules.max}.`);
+    }
+  }
+
+  if (rules.type === "date") {
+    value = new Date(value);
+    if (typeof raw === "boolean" || isNaN(value.getTime())) {
+      return fail("invalid_date", `${field} is not a valid date.`);
+    }
+    if (rules.future && value <= new Date()) {
+      return fail("not_future", `${field} must be a future date.`);
+    }
+  }
+
+  return { value };
+}
+
+// Returns { value, errors }; value only holds fields declared in the schema
+// Nested objects report their fields as "parent.child".
+function validate(schema, data = {}, prefix = "") {
+  const value = {};
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const result = validateField(prefix + field, rules, data[field]);
+    if (result.errors) errors.push(...result.errors);
+    else if (result.error) errors.push(result.error);
+    else if (result.value !== undefined) value[field] = result.value;
+  }
+
+  return { value, errors };
+}
+
+// Replace req.body with the validated, normalized values or answer 400
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+
+    if (errors.length) {
+      return res.status(400).json({
+        ok: false,
+        message: "Validation failed.",
+        errors,
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+const validateUserSync = validateBody(userSyncSchema);
+const validateDraft = validateBody(draftEventSchema);
+const validateFullEvent = validateBody(eventSchema);
+const validatePublish = validateBody(publishSchema);
+
+// `draft: true` bodies are checked against the relaxed draft rules
+function validateEvent(req, res, next) {
+  const validator =
+    req.body?.draft === true ? validateDraft : validateFullEvent;
+  validator(req, res, next);
+}
+const validateJoin = validateBody(joinSchema);
+const validateLeave = validateBody(leaveSchema);
+const validateCheckIn = validateBody(checkInSchema);
+const validateAttendance = validateBody(attendanceSchema);
+const validateComment = validateBody(commentSchema);
+const validatePin = validateBody(pinSchema);
+const validateReview = validateBody(reviewSchema);
+const validateNotificationPrefs = validateBody(notificationPrefsSchema);
+const validateOrganization = validateBody(organizationSchema);
+const validateMember = validateBody(memberSchema);
+const validateOrganizers = validateBody(organizersSchema);
+const validateShifts = validateBody(shiftsSchema);
+const validateHoursAdjustment = validateBody(hoursAdjustmentSchema);
+const validateHoursDecision = validateBody(hoursDecisionSchema);
+const validateWebhook = validateBody(webhookSchema);
+const validateWebhookUpdate = validateBody(webhookUpdateSchema);
+const validateModeration = validateBody(moderationSchema);
+
 // Root
 app.get("/", (req, res) => {
   res.send("Social Development Events API is running.");
 });
 
-// Statistics endpoint
+// --- STATISTICS ---
+
+const TOP_ORGANIZERS_LIMIT = 10;
+
+// `?from=&to=` as a filter on `field`; returns { error } on bad dates
+function parseDateRange(query, field) {
+  const range = {};
+  for (const [param, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${param} date.` };
+    }
+    range[op] = date;
+  }
+  return { filter: Object.keys(range).length ? { [field]: range } : {} };
+}
+
+// Count documents per "YYYY-MM" of `field`, oldest month first
+function countByMonth(field) {
+  return [
+    { $match: { [field]: { $type: "date" } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m", date: `$${field}` } },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Percentage change between the last two values, or null without history
+function growthRate(series) {
+  if (series.length < 2) return null;
+  const [previous, latest] = series.slice(-2);
+  if (!previous) return null;
+  return Math.round(((latest - previous) / previous) * 1000) / 10;
+}
+
+// Totals plus breakdowns per event type and month, top organizers and
+// growth. `from`/`to` limit events by createdAt, joins by joinedAt and
+// users by createdAt.
 app.get("/stats", async (req, res) => {
   try {
-    const totalEvents = await eventsCollection.estimatedDocumentCount();
-    const totalJoined = await joinedCollection.estimatedDocumentCount();
+    const ranges = {};
+    for (const [name, field] of [
+      ["events", "createdAt"],
+      ["joins", "joinedAt"],
+      ["users", "createdAt"],
+    ]) {
+      const { filter, error } = parseDateRange(req.query, field);
+      if (error) {
+        return res.status(400).json({ ok: false, message: error });
+      }
+      ranges[name] = filter;
+    }
 
-    // Get unique user emails using aggregate (API Version 1 compatible)
-    const creatorEmailsResult = await eventsCollection
-      .aggregate([
-        { $group: { _id: "$creatorEmail" } },
-        { $project: { _id: 0, email: "$_id" } },
-      ])
-      .toArray();
+    const eventMatch = {
+      ...NOT_DELETED,
+      status: { $ne: "draft" },
+      ...ranges.events,
+    };
+    // Participants only: neither withdrawn nor waitlisted joins count
+    const joinMatch = {
+      status: CONFIRMED_STATUS,
+      eventDeletedAt: null,
+      ...ranges.joins,
+    };
 
-    const participantEmailsResult = await joinedCollection
-      .aggregate([
-        { $group: { _id: "$userEmail" } },
-        { $project: { _id: 0, email: "$_id" } },
-      ])
-      .toArray();
+    const [[events], [joins], newUsers, [users]] = await Promise.all([
+      eventsCollection
+        .aggregate([
+          { $match: eventMatch },
+          {
+            $facet: {
+              total: [{ $count: "count" }],
+              byType: [{ $group: { _id: "$eventType", count: { $sum: 1 } } }],
+              byMonth: countByMonth("createdAt"),
+            },
+          },
+        ])
+        .toArray(),
+      joinedCollection
+        .aggregate([
+          { $match: joinMatch },
+          {
+            $facet: {
+              total: [{ $count: "count" }],
+              byType: [{ $group: { _id: "$eventType", count: { $sum: 1 } } }],
+              byMonth: countByMonth("joinedAt"),
+              topOrganizers: [
+                {
+                  $group: {
+                    _id: "$creatorEmail",
+                    participants: { $sum: 1 },
+                    events: { $addToSet: "$eventId" },
+                  },
+                },
+                { $match: { _id: { $ne: null } } },
+                { $sort: { participants: -1 } },
+                { $limit: TOP_ORGANIZERS_LIMIT },
+                {
+                  $lookup: {
+                    from: "users",
+                    localField: "_id",
+                    foreignField: "email",
+                    as: "user",
+                  },
+                },
+                {
+                  $project: {
+                    _id: 0,
+                    email: "$_id",
+                    displayName: { $arrayElemAt: ["$user.displayName", 0] },
+                    participants: 1,
+                    events: { $size: "$events" },
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray(),
+      usersCollection
+        .aggregate([{ $match: ranges.users }, ...countByMonth("createdAt")])
+        .toArray(),
+      // Creators and participants, de-duplicated inside the database
+      eventsCollection
+        .aggregate([
+          { $match: eventMatch },
+          { $group: { _id: "$creatorEmail" } },
+          {
+            $unionWith: {
+              coll: "joinedEvents",
+              pipeline: [
+                { $match: joinMatch },
+                { $group: { _id: "$userEmail" } },
+              ],
+            },
+          },
+          { $group: { _id: "$_id" } },
+          { $match: { _id: { $ne: null } } },
+          { $count: "count" },
+        ])
+        .toArray(),
+    ]);
 
-    const creatorEmails = creatorEmailsResult
-      .map((r) => r.email)
-      .filter(Boolean);
-    const participantEmails = participantEmailsResult
-      .map((r) => r.email)
-      .filter(Boolean);
-    const allUserEmails = [
-      ...new Set([...creatorEmails, ...participantEmails]),
-    ];
-    const totalUsers = allUserEmails.length;
+    const totalEvents = events.total[0]?.count || 0;
+    const totalJoined = joins.total[0]?.count || 0;
+
+    const byType = {};
+    for (const { _id, count } of events.byType) {
+      byType[_id || "Other"] = { events: count, joins: 0 };
+    }
+    for (const { _id, count } of joins.byType) {
+      const type = _id || "Other";
+      byType[type] = { events: 0, ...byType[type], joins: count };
+    }
+
+    // One row per month from the first to the last one with data, so gaps
+    // show up as zeros rather than skewing the growth rates
+    const months = {};
+    for (const [key, rows] of [
+      ["events", events.byMonth],
+      ["joins", joins.byMonth],
+      ["newUsers", newUsers],
+    ]) {
+      for (const { _id, count } of rows) {
+        months[_id] = { events: 0, joins: 0, newUsers: 0, ...months[_id] };
+        months[_id][key] = count;
+      }
+    }
+    const seen = Object.keys(months).sort();
+    const byMonth = [];
+    if (seen.length) {
+      const cursor = new Date(`${seen[0]}-01T00:00:00Z`);
+      const last = seen[seen.length - 1];
+      for (;;) {
+        const month = cursor.toISOString().slice(0, 7);
+        byMonth.push({
+          month,
+          events: 0,
+          joins: 0,
+          newUsers: 0,
+          ...months[month],
+        });
+        if (month >= last) break;
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+      }
+    }
 
     res.json({
       ok: true,
       totalEvents,
-      totalUsers,
+      totalUsers: users?.count || 0,
       totalJoined,
+      averageJoinsPerEvent: totalEvents
+        ? Math.round((totalJoined / totalEvents) * 10) / 10
+        : 0,
+      byType,
+      byMonth,
+      topOrganizers: joins.topOrganizers,
+      growth: {
+        events: growthRate(byMonth.map((row) => row.events)),
+        joins: growthRate(byMonth.map((row) => row.joins)),
+        newUsers: growthRate(byMonth.map((row) => row.newUsers)),
+      },
     });
   } catch (err) {
     console.error("Stats error:", err);
@@ -121,17 +1033,12 @@ app.get("/stats", async (req, res) => {
 
 // ========== USER MANAGEMENT ENDPOINTS ==========
 
-// Get or create user in MongoDB
-app.post("/users/sync", async (req, res) => {
+// Get or create the caller's user in MongoDB
+app.post("/users/sync", verifyToken, validateUserSync, async (req, res) => {
   try {
-    const { email, displayName, photoURL } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
-        ok: false,
-        message: "Email is required.",
-      });
-    }
+    const { email } = req.user;
+    const displayName = req.user.displayName || req.body.displayName;
+    const photoURL = req.user.photoURL || req.body.photoURL;
 
     // Check if user exists
     let user = await usersCollection.findOne({ email });
@@ -214,39 +1121,41 @@ app.get("/users/:email", async (req, res) => {
 });
 
 // Update user role (Admin only)
-app.patch("/users/:email/role", async (req, res) => {
+app.patch("/users/:email/role", verifyToken, verifyAdmin, async (req, res) => {
   try {
     const { email } = req.params;
-    const { role, requestorEmail } = req.body;
+    const { value, errors } = validate(roleSchema, req.body);
 
-    if (!role || !["user", "admin"].includes(role)) {
+    if (errors.length) {
       return res.status(400).json({
         ok: false,
-        message: "Valid role (user or admin) is required.",
+        message: "Validation failed.",
+        errors,
       });
     }
 
-    // Check if requestor is admin
-    const requestor = await usersCollection.findOne({ email: requestorEmail });
-    if (!requestor || requestor.role !== "admin") {
-      return res.status(403).json({
-        ok: false,
-        message: "Only admins can update user roles.",
-      });
-    }
+    const { role } = value;
 
-    const result = await usersCollection.updateOne(
+    const user = await usersCollection.findOneAndUpdate(
       { email },
       { $set: { role, updatedAt: new Date() } }
     );
 
-    if (result.matchedCount === 0) {
+    if (!user) {
       return res.status(404).json({
         ok: false,
         message: "User not found.",
       });
     }
 
+    await recordAudit(
+      auditActor(req),
+      "user.role",
+      { type: "user", id: email },
+      { role: user.role },
+      { role }
+    );
+
     res.json({
       ok: true,
       message: "User role updated successfully.",
@@ -262,26 +1171,8 @@ app.patch("/users/:email/role", async (req, res) => {
 });
 
 // Get all users (Admin only)
-app.get("/users", async (req, res) => {
+app.get("/users", verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const { requestorEmail } = req.query;
-
-    if (!requestorEmail) {
-      return res.status(400).json({
-        ok: false,
-        message: "Requestor email is required.",
-      });
-    }
-
-    // Check if requestor is admin
-    const requestor = await usersCollection.findOne({ email: requestorEmail });
-    if (!requestor || requestor.role !== "admin") {
-      return res.status(403).json({
-        ok: false,
-        message: "Only admins can view all users.",
-      });
-    }
-
     const users = await usersCollection
       .find(
         {},
@@ -311,32 +1202,159 @@ app.get("/users", async (req, res) => {
   }
 });
 
-// Test DB
-app.get("/test-db", async (req, res) => {
+// ========== AUDIT LOG ==========
+
+// Fields that change on every write and would only add noise to a diff
+const AUDIT_IGNORED_FIELDS = [
+  "_id",
+  "keywords",
+  "updatedAt",
+  "revision",
+  "seatsTaken",
+  "shiftTaken",
+];
+
+const AUDIT_TARGET_TYPES = ["event", "join", "user", "organization"];
+
+// Who is making the request; threaded into helpers that write on their behalf
+function auditActor(req) {
+  return { email: req.user?.email || null, ip: req.ip || null };
+}
+
+// { field: { from, to } } for every field that differs. Values are compared
+// by their JSON form so dates, ids and nested objects compare by value.
+function diffDocuments(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+// Append an entry; pass before = null for creations and after = null for
+// deletions. A failure is logged but never fails the request itself.
+async function recordAudit(actor, action, target, before, after) {
   try {
-    await db.command({ ping: 1 });
-    const count = await eventsCollection.estimatedDocumentCount();
+    await auditCollection.insertOne({
+      actor: actor.email,
+      ip: actor.ip,
+      action,
+      targetType: target.type,
+      targetId: target.id,
+      changes: diffDocuments(before, after),
+      createdAt: new Date(),
+    });
+  } catch (err) {
+    console.error("Audit log error:", err);
+  }
+}
+
+// Query the audit log (Admin only). Entries are never updated or deleted.
+app.get("/audit-log", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const range = parseDateRange(req.query, "createdAt");
+    const error = pagination.error || range.error;
+
+    if (error) {
+      return res.status(400).json({ ok: false, message: error });
+    }
+
+    const { actor, action, targetType, targetId } = req.query;
+    const filter = { ...range.filter };
+
+    if (actor) filter.actor = String(actor);
+    if (action) filter.action = String(action);
+
+    if (targetType) {
+      if (!AUDIT_TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({
+          ok: false,
+          message: `targetType must be one of: ${AUDIT_TARGET_TYPES.join(", ")}.`,
+        });
+      }
+      filter.targetType = targetType;
+    }
+
+    // Event and join ids are ObjectIds, users are identified by email
+    if (targetId) {
+      filter.targetId = ObjectId.isValid(targetId)
+        ? { $in: [new ObjectId(targetId), String(targetId)] }
+        : String(targetId);
+    }
+
+    const { page, limit } = pagination;
+    const [entries, total] = await Promise.all([
+      auditCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      auditCollection.countDocuments(filter),
+    ]);
 
     res.json({
       ok: true,
-      message: "MongoDB is working",
-      totalEvents: count,
+      count: entries.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      entries,
     });
   } catch (err) {
-    console.error("test-db error:", err);
+    console.error("Get audit log error:", err);
     res.status(500).json({
       ok: false,
+      message: "Failed to load audit log",
       error: err.message,
     });
   }
 });
 
-app.get("/seed-demo-events", async (req, res) => {
+// Test DB
+app.get("/test-db", async (req, res) => {
   try {
-    const now = new Date();
+    await db.command({ ping: 1 });
+    const count = await eventsCollection.estimatedDocumentCount();
+
+    res.json({
+      ok: true,
+      message: "MongoDB is working",
+      totalEvents: count,
+    });
+  } catch (err) {
+    console.error("test-db error:", err);
+    res.status(500).json({
+      ok: false,
+      error: err.message,
+    });
+  }
+});
+
+// Demo data goes through the bulk import, so seeding again updates the same
+// events instead of adding duplicates (Admin only)
+app.get("/seed-demo-events", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const now = new Date();
+    // Demo events start at 10:00 UTC, so seeding again on the same day
+    // finds nothing to change
     const addDays = (d) => {
       const date = new Date(now);
-      date.setDate(date.getDate() + d);
+      date.setUTCDate(date.getUTCDate() + d);
+      date.setUTCHours(10, 0, 0, 0);
       return date;
     };
 
@@ -559,12 +1577,18 @@ app.get("/seed-demo-events", async (req, res) => {
       },
     ];
 
-    const result = await eventsCollection.insertMany(demoEvents);
+    const summary = await importEvents(
+      demoEvents.map((event, index) => ({
+        ...event,
+        externalId: `demo-${index + 1}`,
+      })),
+      { actor: auditActor(req) }
+    );
 
     res.json({
       ok: true,
-      message: "Demo events inserted successfully.",
-      insertedCount: result.insertedCount,
+      message: "Demo events seeded successfully.",
+      ...summary,
     });
   } catch (err) {
     console.error("Seed demo events error:", err);
@@ -576,10 +1600,583 @@ app.get("/seed-demo-events", async (req, res) => {
   }
 });
 
+// --- GEOCODING ---
+
+// GEOCODER picks how free-text locations become coordinates: "nominatim"
+// (OpenStreetMap), "static" (a JSON file of location -> [lat, lng], for
+// offline use and tests) or unset to only use coordinates sent by clients.
+let geocoder;
+
+function getGeocoder() {
+  if (geocoder) return geocoder;
+
+  const kind = process.env.GEOCODER || "none";
+
+  if (kind === "nominatim") {
+    geocoder = async (address) => {
+      const url = new URL("https://nominatim.openstreetmap.org/search");
+      url.searchParams.set("q", address);
+      url.searchParams.set("format", "json");
+      url.searchParams.set("limit", "1");
+
+      const response = await fetch(url, {
+        headers: { "User-Agent": "social-events-platform" },
+        signal: AbortSignal.timeout(5000),
+      });
+      const [match] = await response.json();
+      return match ? { lat: Number(match.lat), lng: Number(match.lon) } : null;
+    };
+  } else if (kind === "static") {
+    const places = JSON.parse(
+      fs.readFileSync(process.env.GEOCODER_FILE, "utf8")
+    );
+    const lookup = new Map(
+      Object.entries(places).map(([name, point]) => [name.toLowerCase(), point])
+    );
+    geocoder = async (address) => {
+      const point = lookup.get(address.toLowerCase());
+      return point ? { lat: point[0], lng: point[1] } : null;
+    };
+  } else if (kind === "none") {
+    geocoder = async () => null;
+  } else {
+    throw new Error(`Unknown GEOCODER "${kind}".`);
+  }
+
+  return geocoder;
+}
+
+// GeoJSON stores longitude first
+function toGeoPoint(lat, lng) {
+  return { type: "Point", coordinates: [lng, lat] };
+}
+
+// Coordinates for an event: explicit latitude/longitude win, an unchanged
+// location keeps its point, otherwise the location is geocoded. A failed
+// lookup leaves the event without coordinates.
+async function resolveEventGeo({ latitude, longitude, location }, existing) {
+  if (latitude !== undefined && longitude !== undefined) {
+    return toGeoPoint(latitude, longitude);
+  }
+  if (existing && existing.location === location) {
+    return existing.geo || null;
+  }
+  if (!location) return null;
+
+  try {
+    const found = await getGeocoder()(location);
+    return found ? toGeoPoint(found.lat, found.lng) : null;
+  } catch (err) {
+    console.error("Geocode error:", err);
+    return null;
+  }
+}
+
 // --- EVENTS CRUD ---
 
+const SORT_OPTIONS = {
+  date: { eventDate: 1 },
+  "-date": { eventDate: -1 },
+  newest: { createdAt: -1 },
+  title: { title: 1 },
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_RADIUS_KM = 500;
+
+// Deleted events stay in the trash for TRASH_RETENTION_DAYS before the
+// purge job removes them for good.
+const NOT_DELETED = { deletedAt: null };
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// With EVENT_MODERATION=true new events wait for an admin to approve them.
+// Events without a status predate moderation and count as published.
+const PUBLISHED_FILTER = {
+  status: { $in: [null, "published"] },
+  ...NOT_DELETED,
+};
+function isModerationEnabled() {
+  return process.env.EVENT_MODERATION === "true";
+}
+
+// Status an event goes live with: under moderation it still needs review
+function liveStatus() {
+  return isModerationEnabled() ? "pending" : "published";
+}
+
+// Drafts stay private, a publishAt waits for the scheduler
+function initialStatus({ draft, publishAt }) {
+  if (draft) return "draft";
+  if (publishAt) return "scheduled";
+  return liveStatus();
+}
+
+const STATUS_MESSAGES = {
+  draft: "Draft saved.",
+  scheduled: "Event scheduled for publication.",
+  pending: "Event submitted for review.",
+  published: "Event created successfully!",
+};
+
+// Events that are only visible to their creator in /events/user
+const PRIVATE_STATUSES = ["draft", "scheduled"];
+
+function isPublished(event) {
+  return !event.deletedAt && (!event.status || event.status === "published");
+}
+
+// Creator, co-organizer, member of the owning organization, or admin
+async function canManageEvent(event, email) {
+  if (event.creatorEmail === email || event.coOrganizers?.includes(email)) {
+    return true;
+  }
+  if (
+    event.organizationId &&
+    (await getMemberRole(event.organizationId, email))
+  ) {
+    return true;
+  }
+  return isAdmin(email);
+}
+
+// Unpublished and deleted events are only visible to the people who can
+// manage them
+async function canViewEvent(event, user) {
+  return (
+    isPublished(event) ||
+    Boolean(user && (await canManageEvent(event, user.email)))
+  );
+}
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1);
+}
+
+// Lowercase words from title, description and location, used for search.
+// Drafts may lack some of them.
+function buildKeywords({ title, description, location }) {
+  const text = [title, description, location].filter(Boolean).join(" ");
+  return [...new Set(tokenize(text))];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Turn list query parameters (search, eventType, from, to, creator, sort,
+// page, limit) into a MongoDB filter. Returns { error } on bad input.
+function parseEventListQuery(query) {
+  const filter = {};
+
+  // Every search word must prefix-match a keyword; anchored regexes use the index
+  const words = tokenize(query.search);
+  if (words.length) {
+    filter.$and = words.map((word) => ({
+      keywords: { $regex: `^${escapeRegex(word)}` },
+    }));
+  }
+
+  if (query.eventType) {
+    filter.eventType = { $in: String(query.eventType).split(",") };
+  }
+
+  if (query.creator) {
+    filter.creatorEmail = String(query.creator);
+  }
+
+  if (query.from || query.to) {
+    filter.eventDate = {};
+    for (const [param, op] of [
+      ["from", "$gte"],
+      ["to", "$lte"],
+    ]) {
+      if (!query[param]) continue;
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date.` };
+      }
+      filter.eventDate[op] = date;
+    }
+  }
+
+  // Events within `radius` km of lat/lng, nearest first
+  let near = null;
+  if (query.lat !== undefined || query.lng !== undefined) {
+    const lat = Number(query.lat);
+    const lng = Number(query.lng);
+    const radius = query.radius === undefined ? 10 : Number(query.radius);
+
+    if (
+      !Number.isFinite(lat) ||
+      lat < -90 ||
+      lat > 90 ||
+      !Number.isFinite(lng) ||
+      lng < -180 ||
+      lng > 180
+    ) {
+      return { error: "lat and lng must be valid coordinates." };
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km.` };
+    }
+
+    near = { lat, lng, radius };
+  }
+
+  const sortKey = query.sort || "date";
+  if (!SORT_OPTIONS[sortKey]) {
+    return {
+      error: `sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}.`,
+    };
+  }
+
+  const pagination = parsePagination(query);
+  if (pagination.error) return pagination;
+
+  return {
+    filter,
+    sort: { ...SORT_OPTIONS[sortKey], _id: 1 },
+    near,
+    ...pagination,
+  };
+}
+
+// Start dates for every occurrence of a recurrence rule, or { error }
+function buildOccurrenceDates(start, recurrence) {
+  const { frequency, interval = 1, count, until } = recurrence;
+
+  if (!count === !until) {
+    return { error: "recurrence needs either count or until." };
+  }
+  if (until && until <= start) {
+    return { error: "recurrence.until must be after the event date." };
+  }
+
+  const dates = [];
+  for (let i = 0; !count || dates.length < count; i++) {
+    const date = new Date(start);
+    if (frequency === "daily") {
+      date.setUTCDate(date.getUTCDate() + i * interval);
+    } else if (frequency === "weekly") {
+      date.setUTCDate(date.getUTCDate() + i * interval * 7);
+    } else {
+      // Keep the day of month, clamped to the last day of shorter months
+      const month = start.getUTCMonth() + i * interval;
+      const lastDay = new Date(
+        Date.UTC(start.getUTCFullYear(), month + 1, 0)
+      ).getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(month);
+      date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    }
+
+    if (until && date > until) break;
+    if (dates.length === MAX_OCCURRENCES) {
+      return {
+        error: `A series can have at most ${MAX_OCCURRENCES} occurrences.`,
+      };
+    }
+    dates.push(date);
+  }
+
+  return { dates };
+}
+
+// Apply an edit to one event and tell the people affected. capacity and
+// durationHours are left unchanged when undefined. Returns the number of
+// modified documents.
+async function updateEvent(existing, fields, actor) {
+  const { title, description, eventType, thumbnail, location, eventDate } =
+    fields;
+  const capacity =
+    fields.capacity === undefined ? existing.capacity : fields.capacity;
+  const durationHours =
+    fields.durationHours === undefined
+      ? existing.durationHours
+      : fields.durationHours;
+
+  const updateDoc = {
+    $set: {
+      title,
+      description,
+      eventType,
+      thumbnail,
+      location,
+      eventDate,
+      capacity: capacity ?? null,
+      durationHours: durationHours ?? null,
+      keywords: buildKeywords({ title, description, location }),
+      updatedAt: new Date(),
+    },
+    // Bumped on every edit; used as the iCalendar SEQUENCE
+    $inc: { revision: 1 },
+  };
+
+  // Shifts move with the event when it is rescheduled
+  const moved =
+    eventDate && existing.eventDate && eventDate - existing.eventDate;
+  if (existing.shifts?.length && moved) {
+    updateDoc.$set.shifts = existing.shifts.map((shift) => ({
+      ...shift,
+      startsAt: new Date(shift.startsAt.getTime() + moved),
+      endsAt: new Date(shift.endsAt.getTime() + moved),
+    }));
+  }
+
+  // geo: undefined keeps the current point, null removes it
+  if (fields.geo) {
+    updateDoc.$set.geo = fields.geo;
+  } else if (fields.geo === null) {
+    updateDoc.$unset = { geo: "" };
+  }
+
+  // An organizer (not an admin) editing a rejected event resubmits it
+  if (existing.status === "rejected" && !(await isAdmin(actor.email))) {
+    updateDoc.$set.status = "pending";
+    updateDoc.$unset = { ...updateDoc.$unset, moderationReason: "" };
+  }
+
+  const result = await eventsCollection.updateOne(
+    { _id: existing._id },
+    updateDoc
+  );
+
+  const updated = { ...existing, ...updateDoc.$set };
+  for (const field of Object.keys(updateDoc.$unset || {})) {
+    delete updated[field];
+  }
+
+  if (result.modifiedCount) {
+    await recordAudit(
+      actor,
+      "event.update",
+      { type: "event", id: existing._id },
+      existing,
+      updated
+    );
+    await emitEventWebhook(existing, updated);
+  }
+
+  const changedFields = await syncJoinedSnapshots(existing, updated);
+  if (updateDoc.$set.shifts) {
+    await syncShiftSnapshots(existing._id, updateDoc.$set.shifts);
+  }
+
+  if (changedFields.length) {
+    await notifyParticipants(updated, "event_updated", { changedFields });
+  }
+
+  // Raising or removing the limit frees seats for the waitlist.
+  // Lowering it never removes already confirmed participants.
+  if (existing.capacity && (!capacity || capacity > existing.capacity)) {
+    await promoteFromWaitlist({ _id: existing._id, capacity }, actor);
+  }
+
+  return result.modifiedCount;
+}
+
+// Move an event to the trash and tell participants it is cancelled. Joins
+// and comments are kept so the event can be restored until it is purged.
+async function deleteEvent(event, actor, deletedAt = new Date()) {
+  const deletion = { deletedAt, deletedBy: actor.email };
+
+  await eventsCollection.updateOne({ _id: event._id }, { $set: deletion });
+  await joinedCollection.updateMany(
+    { eventId: event._id },
+    { $set: { eventDeletedAt: deletedAt } }
+  );
+  await reviewsCollection.updateMany(
+    { eventId: event._id },
+    { $set: { eventDeletedAt: deletedAt } }
+  );
+  await recordAudit(
+    actor,
+    "event.delete",
+    { type: "event", id: event._id },
+    event,
+    { ...event, ...deletion }
+  );
+  await emitEventWebhook(event, { ...event, ...deletion });
+
+  await notifyParticipants(event, "event_deleted");
+}
+
+async function restoreEvent(event, actor) {
+  await eventsCollection.updateOne(
+    { _id: event._id },
+    { $unset: { deletedAt: "", deletedBy: "" } }
+  );
+  await joinedCollection.updateMany(
+    { eventId: event._id },
+    { $unset: { eventDeletedAt: "" } }
+  );
+  await reviewsCollection.updateMany(
+    { eventId: event._id },
+    { $unset: { eventDeletedAt: "" } }
+  );
+
+  const restored = { ...event };
+  delete restored.deletedAt;
+  delete restored.deletedBy;
+  await recordAudit(
+    actor,
+    "event.restore",
+    { type: "event", id: event._id },
+    event,
+    restored
+  );
+  await emitEventWebhook(event, restored);
+
+  await notifyParticipants(restored, "event_restored");
+
+  // Participants may have left while the event was in the trash
+  await eventsCollection.updateOne(
+    { _id: event._id },
+    { $set: await countSeats(event._id) }
+  );
+  await promoteFromWaitlist(restored, actor);
+}
+
+function trashExpiry(event) {
+  return new Date(
+    new Date(event.deletedAt).getTime() +
+      TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+}
+
+// Hard-delete events that have been in the trash longer than the retention
+// window, with their joins, comments and reviews. Returns the number purged.
+async function purgeDeletedEvents(now) {
+  const cutoff = new Date(
+    now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+  const expired = await eventsCollection
+    .find({ deletedAt: { $lte: cutoff } })
+    .toArray();
+
+  for (const event of expired) {
+    await eventsCollection.deleteOne({ _id: event._id });
+    await joinedCollection.deleteMany({ eventId: event._id });
+    await commentsCollection.deleteMany({ eventId: event._id });
+    await reviewsCollection.deleteMany({ eventId: event._id });
+    await recordAudit(
+      { email: null, ip: null },
+      "event.purge",
+      { type: "event", id: event._id },
+      event,
+      null
+    );
+  }
+
+  return expired.length;
+}
+
+// ?scope=series targets every upcoming occurrence of the event's series.
+// Returns { events } or { error }.
+async function resolveEventScope(event, scope = "occurrence") {
+  if (scope === "occurrence") return { events: [event] };
+
+  if (scope !== "series") {
+    return { error: "scope must be occurrence or series." };
+  }
+  if (!event.seriesId) {
+    return { error: "This event is not part of a series." };
+  }
+
+  const upcoming = await eventsCollection
+    .find({
+      seriesId: event.seriesId,
+      eventDate: { $gt: new Date() },
+      ...NOT_DELETED,
+    })
+    .sort({ eventDate: 1 })
+    .toArray();
+
+  // The occurrence the request was made on is always included
+  const others = upcoming.filter((e) => !e._id.equals(event._id));
+  return { events: [event, ...others] };
+}
+
+// page and limit query parameters. Returns { error } on bad input.
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit =
+    query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive whole number." };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  return { page, limit };
+}
+
+// With `near` set, results are ordered by distance and carry `distance` in km
+async function findEventPage({ filter, sort, near, page, limit }) {
+  if (near) {
+    const [result] = await eventsCollection
+      .aggregate([
+        {
+          $geoNear: {
+            near: toGeoPoint(near.lat, near.lng),
+            distanceField: "distance",
+            maxDistance: near.radius * 1000,
+            query: filter,
+            spherical: true,
+          },
+        },
+        { $project: { keywords: 0 } },
+        {
+          $facet: {
+            events: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+            total: [{ $count: "count" }],
+          },
+        },
+      ])
+      .toArray();
+
+    const events = result.events.map((event) => ({
+      ...event,
+      distance: Math.round(event.distance / 100) / 10,
+    }));
+    const total = result.total[0]?.count || 0;
+
+    return {
+      count: events.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      events,
+    };
+  }
+
+  const [events, total] = await Promise.all([
+    eventsCollection
+      .find(filter, { projection: { keywords: 0 } })
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    eventsCollection.countDocuments(filter),
+  ]);
+
+  return {
+    count: events.length,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    events,
+  };
+}
+
 // Create event
-app.post("/events", async (req, res) => {
+app.post("/events", verifyToken, validateEvent, async (req, res) => {
   try {
     const {
       title,
@@ -588,38 +2185,39 @@ app.post("/events", async (req, res) => {
       thumbnail,
       location,
       eventDate,
-      creatorEmail,
+      capacity,
+      durationHours,
+      latitude,
+      longitude,
+      recurrence,
+      draft,
+      publishAt,
+      organizationId,
     } = req.body;
+    const creatorEmail = req.user.email;
 
     if (
-      !title ||
-      !description ||
-      !eventType ||
-      !thumbnail ||
-      !location ||
-      !eventDate ||
-      !creatorEmail
+      organizationId &&
+      !(await getMemberRole(new ObjectId(organizationId), creatorEmail))
     ) {
-      return res.status(400).json({
+      return res.status(403).json({
         ok: false,
-        message: "All fields are required.",
+        message: "You are not a member of this organization.",
       });
     }
 
-    const eventDateObj = new Date(eventDate);
-    const now = new Date();
-
-    if (isNaN(eventDateObj.getTime())) {
+    if (draft && (recurrence || publishAt)) {
       return res.status(400).json({
         ok: false,
-        message: "Invalid event date.",
+        message:
+          "Drafts cannot repeat or be scheduled. Publish the draft with a publishAt instead.",
       });
     }
 
-    if (eventDateObj <= now) {
+    if ((latitude === undefined) !== (longitude === undefined)) {
       return res.status(400).json({
         ok: false,
-        message: "Event date must be a future date.",
+        message: "latitude and longitude must be given together.",
       });
     }
 
@@ -629,17 +2227,81 @@ app.post("/events", async (req, res) => {
       eventType,
       thumbnail,
       location,
-      eventDate: eventDateObj,
+      eventDate,
+      capacity: capacity ?? null,
+      durationHours: durationHours ?? null,
+      seatsTaken: 0,
       creatorEmail,
+      status: initialStatus({ draft, publishAt }),
       createdAt: new Date(),
     };
+    if (doc.status === "scheduled") doc.publishAt = publishAt;
+    if (organizationId) doc.organizationId = new ObjectId(organizationId);
+    doc.keywords = buildKeywords(doc);
+
+    const geo = await resolveEventGeo(req.body);
+    if (geo) doc.geo = geo;
+
+    const message = STATUS_MESSAGES[doc.status];
+
+    if (recurrence) {
+      const occurrences = buildOccurrenceDates(eventDate, recurrence);
+
+      if (occurrences.error) {
+        return res.status(400).json({
+          ok: false,
+          message: occurrences.error,
+        });
+      }
+
+      const seriesId = new ObjectId();
+      const docs = occurrences.dates.map((date, occurrenceIndex) => ({
+        ...doc,
+        eventDate: date,
+        seriesId,
+        recurrence,
+        occurrenceIndex,
+      }));
+
+      const result = await eventsCollection.insertMany(docs);
+      const eventIds = Object.values(result.insertedIds);
+
+      for (const [index, id] of eventIds.entries()) {
+        await recordAudit(
+          auditActor(req),
+          "event.create",
+          { type: "event", id },
+          null,
+          docs[index]
+        );
+        await emitEventWebhook(null, { ...docs[index], _id: id });
+      }
+
+      return res.status(201).json({
+        ok: true,
+        message,
+        eventId: eventIds[0],
+        seriesId,
+        eventIds,
+        status: doc.status,
+      });
+    }
 
     const result = await eventsCollection.insertOne(doc);
+    await recordAudit(
+      auditActor(req),
+      "event.create",
+      { type: "event", id: result.insertedId },
+      null,
+      doc
+    );
+    await emitEventWebhook(null, { ...doc, _id: result.insertedId });
 
     res.status(201).json({
       ok: true,
-      message: "Event created successfully!",
+      message,
       eventId: result.insertedId,
+      status: doc.status,
     });
   } catch (err) {
     console.error("Create event error:", err);
@@ -654,15 +2316,20 @@ app.post("/events", async (req, res) => {
 // Get all events
 app.get("/events", async (req, res) => {
   try {
-    const events = await eventsCollection
-      .find({})
-      .sort({ eventDate: 1 })
-      .toArray();
+    const listQuery = parseEventListQuery(req.query);
+
+    if (listQuery.error) {
+      return res.status(400).json({
+        ok: false,
+        message: listQuery.error,
+      });
+    }
+
+    Object.assign(listQuery.filter, PUBLISHED_FILTER);
 
     res.json({
       ok: true,
-      count: events.length,
-      events,
+      ...(await findEventPage(listQuery)),
     });
   } catch (err) {
     console.error("Get all events error:", err);
@@ -674,22 +2341,39 @@ app.get("/events", async (req, res) => {
   }
 });
 
+// Event list query limited to published events that have not started
+function upcomingListQuery(query) {
+  const now = new Date();
+  const listQuery = parseEventListQuery(query);
+  if (listQuery.error) return listQuery;
+
+  const from = listQuery.filter.eventDate?.$gte;
+  listQuery.filter.eventDate = {
+    ...listQuery.filter.eventDate,
+    $gt: now,
+  };
+  if (from && from <= now) {
+    delete listQuery.filter.eventDate.$gte;
+  }
+  Object.assign(listQuery.filter, PUBLISHED_FILTER);
+  return listQuery;
+}
+
 // Get upcoming events
 app.get("/events/upcoming", async (req, res) => {
   try {
-    const now = new Date();
+    const listQuery = upcomingListQuery(req.query);
 
-    const events = await eventsCollection
-      .find({
-        eventDate: { $gt: now },
-      })
-      .sort({ eventDate: 1 })
-      .toArray();
+    if (listQuery.error) {
+      return res.status(400).json({
+        ok: false,
+        message: listQuery.error,
+      });
+    }
 
     res.json({
       ok: true,
-      count: events.length,
-      events,
+      ...(await findEventPage(listQuery)),
     });
   } catch (err) {
     console.error("Upcoming events error:", err);
@@ -701,8 +2385,11 @@ app.get("/events/upcoming", async (req, res) => {
   }
 });
 
-// Get events by creator (manage events)
-app.get("/events/user", async (req, res) => {
+// Events a user can manage: created, co-organized or owned by one of their
+// organizations. Anyone else only sees the published ones; drafts,
+// scheduled, pending, rejected and unpublished events are only included
+// when the user asks for their own.
+app.get("/events/user", optionalToken, async (req, res) => {
   try {
     const email = req.query.email;
     if (!email) {
@@ -712,11 +2399,25 @@ app.get("/events/user", async (req, res) => {
       });
     }
 
+    const filter = {
+      ...(await manageableFilter(email)),
+      ...(req.user?.email === email ? NOT_DELETED : PUBLISHED_FILTER),
+    };
+
     const events = await eventsCollection
-      .find({ creatorEmail: email })
+      .find(filter, { projection: { keywords: 0 } })
       .sort({ eventDate: 1 })
       .toArray();
 
+    for (const event of events) {
+      event.access =
+        event.creatorEmail === email
+          ? "creator"
+          : event.coOrganizers?.includes(email)
+            ? "co-organizer"
+            : "organization";
+    }
+
     res.json({
       ok: true,
       count: events.length,
@@ -732,229 +2433,4870 @@ app.get("/events/user", async (req, res) => {
   }
 });
 
-// Get single event
-app.get("/events/:id", async (req, res) => {
+// Deleted events the caller can restore: the ones they manage, or all for
+// admins
+app.get("/events/trash", verifyToken, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).json({
-        ok: false,
-        message: "Invalid event id.",
-      });
+    const filter = { deletedAt: { $ne: null } };
+    if (!(await isAdmin(req.user.email))) {
+      Object.assign(filter, await manageableFilter(req.user.email));
     }
 
-    const event = await eventsCollection.findOne({
-      _id: new ObjectId(id),
-    });
-
-    if (!event) {
-      return res.status(404).json({
-        ok: false,
-        message: "Event not found.",
-      });
-    }
+    const events = await eventsCollection
+      .find(filter, { projection: { keywords: 0 } })
+      .sort({ deletedAt: -1 })
+      .toArray();
 
     res.json({
       ok: true,
-      event,
+      count: events.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      events: events.map((event) => ({
+        ...event,
+        restoreUntil: trashExpiry(event),
+      })),
     });
   } catch (err) {
-    console.error("Get event details error:", err);
+    console.error("Get trash error:", err);
     res.status(500).json({
       ok: false,
-      message: "Failed to load event details",
+      message: "Failed to load deleted events",
       error: err.message,
     });
   }
 });
 
-// Update event (only creator)
-app.put("/events/:id", async (req, res) => {
+// Get single event (unpublished events only for their creator and admins)
+app.get("/events/:id", optionalToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const {
-      title,
-      description,
-      eventType,
-      thumbnail,
-      location,
-      eventDate,
-      requestorEmail,
-    } = req.body;
 
-    if (!ObjectId.isValid(id)) {
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const event = await eventsCollection.findOne(
+      { _id: new ObjectId(id) },
+      { projection: { keywords: 0 } }
+    );
+
+    if (!event || !(await canViewEvent(event, req.user))) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    event.participantCount = await countConfirmed(event._id);
+    event.waitlistCount = await joinedCollection.countDocuments({
+      eventId: event._id,
+      status: "waitlisted",
+    });
+    event.rating = await getRatingSummary({ eventId: event._id });
+    event.organizerRating = await getRatingSummary({
+      creatorEmail: event.creatorEmail,
+      eventDeletedAt: null,
+    });
+    if (event.shifts) event.shifts = await getShiftFill(event);
+
+    res.json({
+      ok: true,
+      event,
+    });
+  } catch (err) {
+    console.error("Get event details error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load event details",
+      error: err.message,
+    });
+  }
+});
+
+// All occurrences of the series an event belongs to
+app.get("/events/:id/occurrences", optionalToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!event || !(await canViewEvent(event, req.user))) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    if (!event.seriesId) {
+      delete event.keywords;
+      return res.json({
+        ok: true,
+        count: 1,
+        events: [event],
+      });
+    }
+
+    const filter = { seriesId: event.seriesId, ...NOT_DELETED };
+    if (!(req.user && (await canManageEvent(event, req.user.email)))) {
+      Object.assign(filter, PUBLISHED_FILTER);
+    }
+
+    const events = await eventsCollection
+      .find(filter, { projection: { keywords: 0 } })
+      .sort({ eventDate: 1 })
+      .toArray();
+
+    res.json({
+      ok: true,
+      count: events.length,
+      events,
+    });
+  } catch (err) {
+    console.error("Get occurrences error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load occurrences",
+      error: err.message,
+    });
+  }
+});
+
+// Update event (creator or admin)
+app.put("/events/:id", verifyToken, validateEvent, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    if (req.body.recurrence) {
+      return res.status(400).json({
+        ok: false,
+        message:
+          "The recurrence of a series cannot be changed. Cancel it and create a new one.",
+      });
+    }
+
+    if (req.body.publishAt) {
+      return res.status(400).json({
+        ok: false,
+        message: "Use POST /events/:id/publish to schedule publication.",
+      });
+    }
+
+    if (req.body.organizationId) {
+      return res.status(400).json({
+        ok: false,
+        message: "Use PATCH /events/:id/organizers to change the organization.",
+      });
+    }
+
+    const existing = await eventsCollection.findOne({
+      _id: new ObjectId(id),
+      ...NOT_DELETED,
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    if (!(await canManageEvent(existing, req.user.email))) {
+      return res.status(403).json({
+        ok: false,
+        message: "You are not allowed to update this event.",
+      });
+    }
+
+    if (req.body.draft && existing.status !== "draft") {
+      return res.status(400).json({
+        ok: false,
+        message: "Only drafts can be saved as a draft.",
+      });
+    }
+
+    const scope = await resolveEventScope(existing, req.query.scope);
+
+    if (scope.error) {
+      return res.status(400).json({
+        ok: false,
+        message: scope.error,
+      });
+    }
+
+    const { latitude, longitude } = req.body;
+
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({
+        ok: false,
+        message: "latitude and longitude must be given together.",
+      });
+    }
+
+    const geo = await resolveEventGeo(req.body, existing);
+
+    // Moving one occurrence of a series moves the others by the same amount.
+    // A draft may not have a date yet, so its new date is taken as is.
+    const shift =
+      existing.eventDate && req.body.eventDate
+        ? req.body.eventDate - existing.eventDate
+        : null;
+    let modifiedCount = 0;
+
+    for (const event of scope.events) {
+      modifiedCount += await updateEvent(
+        event,
+        {
+          ...req.body,
+          eventDate:
+            shift === null
+              ? req.body.eventDate
+              : new Date(new Date(event.eventDate).getTime() + shift),
+          geo,
+        },
+        auditActor(req)
+      );
+    }
+
+    res.json({
+      ok: true,
+      message: "Event updated successfully.",
+      modifiedCount,
+    });
+  } catch (err) {
+    console.error("Update event error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update event",
+      error: err.message,
+    });
+  }
+});
+
+// --- DRAFTS + SCHEDULED PUBLISHING ---
+
+// Publish scheduled events whose publishAt has passed. Returns the number
+// of events published (or sent to review under moderation).
+async function publishScheduledEvents(now) {
+  const due = await eventsCollection
+    .find({ status: "scheduled", publishAt: { $lte: now }, ...NOT_DELETED })
+    .toArray();
+
+  for (const event of due) {
+    const publication = { status: liveStatus(), publishedAt: now };
+    await eventsCollection.updateOne(
+      { _id: event._id, status: "scheduled" },
+      { $set: publication, $unset: { publishAt: "" } }
+    );
+
+    const after = { ...event, ...publication };
+    delete after.publishAt;
+    await recordAudit(
+      { email: null, ip: null },
+      "event.publish",
+      { type: "event", id: event._id },
+      event,
+      after
+    );
+    await emitEventWebhook(event, after);
+  }
+
+  return due.length;
+}
+
+// Publish a draft or scheduled event now, or (re)schedule it with
+// publishAt. Drafts must pass the full event rules first.
+app.post(
+  "/events/:id/publish",
+  verifyToken,
+  validatePublish,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid event id.",
+        });
+      }
+
+      const existing = await eventsCollection.findOne({
+        _id: new ObjectId(id),
+        ...NOT_DELETED,
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          ok: false,
+          message: "Event not found.",
+        });
+      }
+
+      if (!(await canManageEvent(existing, req.user.email))) {
+        return res.status(403).json({
+          ok: false,
+          message: "You are not allowed to publish this event.",
+        });
+      }
+
+      if (!PRIVATE_STATUSES.includes(existing.status)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Only drafts and scheduled events can be published.",
+        });
+      }
+
+      const scope = await resolveEventScope(existing, req.query.scope);
+
+      if (scope.error) {
+        return res.status(400).json({
+          ok: false,
+          message: scope.error,
+        });
+      }
+
+      // Only the event fields are re-checked: the series recurrence and
+      // organization were checked when they were set, and the stored
+      // organizationId is an ObjectId rather than the string the API takes
+      const { errors } = validate(eventSchema, {
+        ...existing,
+        recurrence: undefined,
+        draft: undefined,
+        publishAt: undefined,
+        organizationId: undefined,
+      });
+
+      if (errors.length) {
+        return res.status(400).json({
+          ok: false,
+          message: "This draft is not ready to be published.",
+          errors,
+        });
+      }
+
+      const { publishAt } = req.body;
+      const updateDoc = publishAt
+        ? { $set: { status: "scheduled", publishAt } }
+        : {
+            $set: { status: liveStatus(), publishedAt: new Date() },
+            $unset: { publishAt: "" },
+          };
+
+      for (const event of scope.events) {
+        if (!PRIVATE_STATUSES.includes(event.status)) continue;
+
+        await eventsCollection.updateOne({ _id: event._id }, updateDoc);
+
+        const after = { ...event, ...updateDoc.$set };
+        if (!publishAt) delete after.publishAt;
+        await recordAudit(
+          auditActor(req),
+          "event.publish",
+          { type: "event", id: event._id },
+          event,
+          after
+        );
+        await emitEventWebhook(event, after);
+      }
+
+      const status = updateDoc.$set.status;
+
+      res.json({
+        ok: true,
+        message: STATUS_MESSAGES[status],
+        status,
+        publishAt: publishAt || null,
+      });
+    } catch (err) {
+      console.error("Publish event error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to publish event",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// --- BULK IMPORT (Admin only) ---
+
+const MAX_IMPORT_ROWS = 1000;
+// Fields an import row can change on an existing event
+const IMPORT_FIELDS = [
+  "title",
+  "description",
+  "eventType",
+  "thumbnail",
+  "location",
+  "eventDate",
+  "capacity",
+  "durationHours",
+];
+
+// True when applying the row would not change the event. Fields the row
+// leaves out (undefined) are kept by updateEvent, so they are not compared.
+function isUnchangedByImport(existing, value, geo) {
+  const fields = IMPORT_FIELDS.filter((field) => value[field] !== undefined);
+  const before = Object.fromEntries(fields.map((f) => [f, existing[f]]));
+  const after = Object.fromEntries(fields.map((f) => [f, value[f]]));
+  if (geo) {
+    before.geo = existing.geo;
+    after.geo = geo;
+  }
+  return Object.keys(diffDocuments(before, after)).length === 0;
+}
+
+// Minimal RFC 4180 parser: quoted cells may hold commas, line breaks and
+// doubled quotes. Returns one object per row, keyed by the header line.
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((c) => c.trim()));
+  const keys = header.map((key) => key.trim());
+  return records.map((cells) =>
+    Object.fromEntries(keys.map((key, i) => [key, cells[i]]))
+  );
+}
+
+// Validate every row and create or update events by externalId. Invalid
+// rows are reported and skipped; with dryRun nothing is written.
+async function importEvents(rows, { dryRun = false, actor }) {
+  const results = [];
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1, externalId: row?.externalId ?? null };
+    results.push(result);
+
+    const data = row && typeof row === "object" ? row : {};
+    const { value, errors } = validate(importEventSchema, data);
+
+    if (
+      !errors.length &&
+      (value.latitude === undefined) !== (value.longitude === undefined)
+    ) {
+      errors.push({
+        field: "latitude",
+        code: "required",
+        message: "latitude and longitude must be given together.",
+      });
+    }
+    if (!errors.length && seen.has(value.externalId)) {
+      errors.push({
+        field: "externalId",
+        code: "duplicate",
+        message: "externalId appears more than once in this import.",
+      });
+    }
+
+    const existing = errors.length
+      ? null
+      : await eventsCollection.findOne({ externalId: value.externalId });
+
+    if (existing?.deletedAt) {
+      errors.push({
+        field: "externalId",
+        code: "in_trash",
+        message: "This event is in the trash. Restore it first.",
+      });
+    }
+
+    if (errors.length) {
+      result.action = "error";
+      result.errors = errors;
+      continue;
+    }
+
+    seen.add(value.externalId);
+
+    // Coordinates are taken as given; rows are not geocoded one by one
+    const geo =
+      value.latitude === undefined
+        ? undefined
+        : toGeoPoint(value.latitude, value.longitude);
+
+    // Importing the same row again leaves the event (and its revision,
+    // participants and webhooks) alone
+    result.action = !existing
+      ? "create"
+      : isUnchangedByImport(existing, value, geo)
+        ? "unchanged"
+        : "update";
+    if (existing) result.eventId = existing._id;
+    if (dryRun || result.action === "unchanged") continue;
+
+    if (existing) {
+      await updateEvent(existing, { ...value, geo }, actor);
+      continue;
+    }
+
+    const doc = {
+      title: value.title,
+      description: value.description,
+      eventType: value.eventType,
+      thumbnail: value.thumbnail,
+      location: value.location,
+      eventDate: value.eventDate,
+      capacity: value.capacity ?? null,
+      durationHours: value.durationHours ?? null,
+      seatsTaken: 0,
+      creatorEmail: value.creatorEmail || actor.email,
+      externalId: value.externalId,
+      status: "published",
+      createdAt: new Date(),
+    };
+    doc.keywords = buildKeywords(doc);
+    if (geo) doc.geo = geo;
+
+    const inserted = await eventsCollection.insertOne(doc);
+    result.eventId = inserted.insertedId;
+    await recordAudit(
+      actor,
+      "event.create",
+      { type: "event", id: inserted.insertedId },
+      null,
+      doc
+    );
+    await emitEventWebhook(null, { ...doc, _id: inserted.insertedId });
+  }
+
+  const count = (action) => results.filter((r) => r.action === action).length;
+  return {
+    dryRun,
+    created: count("create"),
+    updated: count("update"),
+    unchanged: count("unchanged"),
+    failed: count("error"),
+    rows: results,
+  };
+}
+
+// Import events from a JSON array (or { events: [...] }) or a CSV body
+// (Content-Type: text/csv). ?dryRun=true only reports what would happen.
+app.post(
+  "/events/import",
+  verifyToken,
+  verifyAdmin,
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+  async (req, res) => {
+    try {
+      const rows =
+        typeof req.body === "string"
+          ? parseCsv(req.body)
+          : Array.isArray(req.body)
+            ? req.body
+            : req.body?.events;
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({
+          ok: false,
+          message:
+            "Send a JSON array of events, { events: [...] } or a CSV file.",
+        });
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          ok: false,
+          message: `At most ${MAX_IMPORT_ROWS} events can be imported at once.`,
+        });
+      }
+
+      const summary = await importEvents(rows, {
+        dryRun: req.query.dryRun === "true",
+        actor: auditActor(req),
+      });
+
+      res.json({
+        ok: true,
+        message: summary.dryRun
+          ? "Dry run finished. Nothing was saved."
+          : "Import finished.",
+        ...summary,
+      });
+    } catch (err) {
+      console.error("Import events error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to import events",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// --- ORGANIZATIONS + CO-ORGANIZERS ---
+
+// Role of email in the organization, or null when not a member
+async function getMemberRole(organizationId, email) {
+  const organization = await organizationsCollection.findOne(
+    { _id: organizationId, "members.email": email },
+    { projection: { members: 1 } }
+  );
+  return organization?.members.find((m) => m.email === email)?.role || null;
+}
+
+// Filter for the events a user can manage without being an admin
+async function manageableFilter(email) {
+  const organizations = await organizationsCollection
+    .find({ "members.email": email }, { projection: { _id: 1 } })
+    .toArray();
+
+  return {
+    $or: [
+      { creatorEmail: email },
+      { coOrganizers: email },
+      { organizationId: { $in: organizations.map((o) => o._id) } },
+    ],
+  };
+}
+
+// Changing who organizes an event is left to its creator, the owners and
+// admins of its organization, and site admins
+async function canAssignOrganizers(event, email) {
+  if (event.creatorEmail === email) return true;
+  if (event.organizationId) {
+    const role = await getMemberRole(event.organizationId, email);
+    if (role === "owner" || role === "admin") return true;
+  }
+  return isAdmin(email);
+}
+
+// Load the :id organization with the caller's role. Site admins act as
+// owners. Sends the error response and returns null when the caller's role
+// is not in `roles`.
+async function loadOrganization(req, res, roles = ORGANIZATION_ROLES) {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({
+      ok: false,
+      message: "Invalid organization id.",
+    });
+    return null;
+  }
+
+  const organization = await organizationsCollection.findOne({
+    _id: new ObjectId(id),
+  });
+  const member = organization?.members.find((m) => m.email === req.user.email);
+  const role =
+    member?.role || ((await isAdmin(req.user.email)) ? "owner" : null);
+
+  if (!organization || !role) {
+    res.status(404).json({
+      ok: false,
+      message: "Organization not found.",
+    });
+    return null;
+  }
+
+  if (!roles.includes(role)) {
+    res.status(403).json({
+      ok: false,
+      message: "You are not allowed to manage this organization.",
+    });
+    return null;
+  }
+
+  return { organization, role };
+}
+
+function countOwners(members) {
+  return members.filter((m) => m.role === "owner").length;
+}
+
+// Create an organization; the caller becomes its owner
+app.post(
+  "/organizations",
+  verifyToken,
+  validateOrganization,
+  async (req, res) => {
+    try {
+      const doc = {
+        name: req.body.name,
+        members: [
+          { email: req.user.email, role: "owner", addedAt: new Date() },
+        ],
+        createdBy: req.user.email,
+        createdAt: new Date(),
+      };
+
+      const result = await organizationsCollection.insertOne(doc);
+      await recordAudit(
+        auditActor(req),
+        "organization.create",
+        { type: "organization", id: result.insertedId },
+        null,
+        doc
+      );
+
+      res.status(201).json({
+        ok: true,
+        message: "Organization created.",
+        organizationId: result.insertedId,
+      });
+    } catch (err) {
+      console.error("Create organization error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to create organization",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Organizations the caller belongs to, with their role
+app.get("/organizations", verifyToken, async (req, res) => {
+  try {
+    const organizations = await organizationsCollection
+      .find({ "members.email": req.user.email })
+      .sort({ name: 1 })
+      .toArray();
+
+    res.json({
+      ok: true,
+      count: organizations.length,
+      organizations: organizations.map((organization) => ({
+        ...organization,
+        role: organization.members.find((m) => m.email === req.user.email).role,
+      })),
+    });
+  } catch (err) {
+    console.error("Get organizations error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load organizations",
+      error: err.message,
+    });
+  }
+});
+
+// One organization (members and site admins only)
+app.get("/organizations/:id", verifyToken, async (req, res) => {
+  try {
+    const loaded = await loadOrganization(req, res);
+    if (!loaded) return;
+
+    res.json({
+      ok: true,
+      organization: { ...loaded.organization, role: loaded.role },
+    });
+  } catch (err) {
+    console.error("Get organization error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load organization",
+      error: err.message,
+    });
+  }
+});
+
+// Add a member or change their role (owners and admins). Only owners can
+// hand out or take away the owner role.
+app.put(
+  "/organizations/:id/members",
+  verifyToken,
+  validateMember,
+  async (req, res) => {
+    try {
+      const loaded = await loadOrganization(req, res, ["owner", "admin"]);
+      if (!loaded) return;
+
+      const { organization, role: callerRole } = loaded;
+      const { email, role } = req.body;
+      const current = organization.members.find((m) => m.email === email);
+
+      if (
+        callerRole !== "owner" &&
+        (role === "owner" || current?.role === "owner")
+      ) {
+        return res.status(403).json({
+          ok: false,
+          message: "Only owners can change the owner role.",
+        });
+      }
+
+      if (
+        current?.role === "owner" &&
+        role !== "owner" &&
+        countOwners(organization.members) === 1
+      ) {
+        return res.status(400).json({
+          ok: false,
+          message: "An organization needs at least one owner.",
+        });
+      }
+
+      const members = current
+        ? organization.members.map((m) =>
+            m.email === email ? { ...m, role } : m
+          )
+        : [...organization.members, { email, role, addedAt: new Date() }];
+
+      await organizationsCollection.updateOne(
+        { _id: organization._id },
+        { $set: { members, updatedAt: new Date() } }
+      );
+      await recordAudit(
+        auditActor(req),
+        "organization.member",
+        { type: "organization", id: organization._id },
+        { members: organization.members },
+        { members }
+      );
+
+      res.json({
+        ok: true,
+        message: current ? "Member role updated." : "Member added.",
+        members,
+      });
+    } catch (err) {
+      console.error("Update organization member error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to update organization member",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Remove a member (owners and admins), or leave the organization
+app.delete(
+  "/organizations/:id/members/:email",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+      const leaving = email === req.user.email;
+      const loaded = await loadOrganization(
+        req,
+        res,
+        leaving ? ORGANIZATION_ROLES : ["owner", "admin"]
+      );
+      if (!loaded) return;
+
+      const { organization, role: callerRole } = loaded;
+      const current = organization.members.find((m) => m.email === email);
+
+      if (!current) {
+        return res.status(404).json({
+          ok: false,
+          message: "Member not found.",
+        });
+      }
+
+      if (current.role === "owner" && !leaving && callerRole !== "owner") {
+        return res.status(403).json({
+          ok: false,
+          message: "Only owners can remove an owner.",
+        });
+      }
+
+      if (current.role === "owner" && countOwners(organization.members) === 1) {
+        return res.status(400).json({
+          ok: false,
+          message: "An organization needs at least one owner.",
+        });
+      }
+
+      const members = organization.members.filter((m) => m.email !== email);
+
+      await organizationsCollection.updateOne(
+        { _id: organization._id },
+        { $set: { members, updatedAt: new Date() } }
+      );
+      await recordAudit(
+        auditActor(req),
+        "organization.member",
+        { type: "organization", id: organization._id },
+        { members: organization.members },
+        { members }
+      );
+
+      res.json({
+        ok: true,
+        message: leaving ? "You left the organization." : "Member removed.",
+      });
+    } catch (err) {
+      console.error("Remove organization member error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to remove organization member",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Set an event's co-organizers and/or organization. ?scope=series applies
+// it to the upcoming occurrences too.
+app.patch(
+  "/events/:id/organizers",
+  verifyToken,
+  validateOrganizers,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { organizationId, coOrganizers } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid event id.",
+        });
+      }
+
+      const existing = await eventsCollection.findOne({
+        _id: new ObjectId(id),
+        ...NOT_DELETED,
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          ok: false,
+          message: "Event not found.",
+        });
+      }
+
+      if (!(await canAssignOrganizers(existing, req.user.email))) {
+        return res.status(403).json({
+          ok: false,
+          message:
+            "You are not allowed to change the organizers of this event.",
+        });
+      }
+
+      if (
+        organizationId &&
+        !(await getMemberRole(new ObjectId(organizationId), req.user.email)) &&
+        !(await isAdmin(req.user.email))
+      ) {
+        return res.status(403).json({
+          ok: false,
+          message: "You are not a member of this organization.",
+        });
+      }
+
+      const scope = await resolveEventScope(existing, req.query.scope);
+
+      if (scope.error) {
+        return res.status(400).json({
+          ok: false,
+          message: scope.error,
+        });
+      }
+
+      const updateDoc = { $set: { updatedAt: new Date() } };
+      if (coOrganizers) {
+        // The creator already has every right a co-organizer gets
+        updateDoc.$set.coOrganizers = coOrganizers.filter(
+          (email) => email !== existing.creatorEmail
+        );
+      }
+      if (organizationId) {
+        updateDoc.$set.organizationId = new ObjectId(organizationId);
+      } else if (organizationId === null) {
+        updateDoc.$unset = { organizationId: "" };
+      }
+
+      for (const event of scope.events) {
+        await eventsCollection.updateOne({ _id: event._id }, updateDoc);
+
+        const after = { ...event, ...updateDoc.$set };
+        if (updateDoc.$unset) delete after.organizationId;
+        await recordAudit(
+          auditActor(req),
+          "event.organizers",
+          { type: "event", id: event._id },
+          event,
+          after
+        );
+        await emitEventWebhook(event, after);
+      }
+
+      res.json({
+        ok: true,
+        message: "Organizers updated.",
+        modifiedCount: scope.events.length,
+        coOrganizers:
+          updateDoc.$set.coOrganizers ?? existing.coOrganizers ?? [],
+        organizationId:
+          organizationId === undefined
+            ? existing.organizationId || null
+            : updateDoc.$set.organizationId || null,
+      });
+    } catch (err) {
+      console.error("Update organizers error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to update organizers",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// --- MODERATION (Admin only) ---
+
+// Events waiting for review
+app.get("/moderation/events", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+
+    const events = await eventsCollection
+      .find({ status, ...NOT_DELETED }, { projection: { keywords: 0 } })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    res.json({
+      ok: true,
+      count: events.length,
+      events,
+    });
+  } catch (err) {
+    console.error("Get moderation events error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load events for moderation",
+      error: err.message,
+    });
+  }
+});
+
+// Approve or reject a pending event, unpublish a published one or publish
+// it again. With ?scope=series the other occurrences that are in the same
+// state change along with it.
+app.patch(
+  "/events/:id/moderation",
+  verifyToken,
+  verifyAdmin,
+  validateModeration,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { action, reason } = req.body;
+      const transition = MODERATION_ACTIONS[action];
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid event id.",
+        });
+      }
+
+      if (action === "reject" && !reason) {
+        return res.status(400).json({
+          ok: false,
+          message: "A reason is required when rejecting an event.",
+        });
+      }
+
+      const updateDoc = {
+        $set: {
+          status: transition.to,
+          moderatedBy: req.user.email,
+          moderatedAt: new Date(),
+        },
+      };
+      if (reason) {
+        updateDoc.$set.moderationReason = reason;
+      } else {
+        updateDoc.$unset = { moderationReason: "" };
+      }
+
+      const event = await eventsCollection.findOne({
+        _id: new ObjectId(id),
+        ...NOT_DELETED,
+      });
+
+      if (!event) {
+        return res.status(404).json({
+          ok: false,
+          message: "Event not found.",
+        });
+      }
+
+      if (!transition.from.includes(event.status ?? null)) {
+        return res.status(400).json({
+          ok: false,
+          message: transition.error,
+        });
+      }
+
+      const scope = await resolveEventScope(event, req.query.scope);
+
+      if (scope.error) {
+        return res.status(400).json({
+          ok: false,
+          message: scope.error,
+        });
+      }
+
+      const targets = scope.events.filter((e) =>
+        transition.from.includes(e.status ?? null)
+      );
+
+      await eventsCollection.updateMany(
+        {
+          _id: { $in: targets.map((e) => e._id) },
+          status: { $in: transition.from },
+        },
+        updateDoc
+      );
+
+      for (const target of targets) {
+        const after = { ...target, ...updateDoc.$set };
+        if (!reason) delete after.moderationReason;
+
+        await recordAudit(
+          auditActor(req),
+          "event.moderate",
+          { type: "event", id: target._id },
+          target,
+          after
+        );
+        await emitEventWebhook(target, after);
+      }
+
+      event.status = updateDoc.$set.status;
+
+      // One message per series, not per occurrence
+      if (action === "reject" || action === "unpublish") {
+        await queueNotifications([
+          buildNotification(
+            `event_${event.status}`,
+            event.creatorEmail,
+            event,
+            {
+              reason,
+            }
+          ),
+        ]);
+      }
+
+      res.json({
+        ok: true,
+        message: `Event ${transition.to}.`,
+        status: transition.to,
+      });
+    } catch (err) {
+      console.error("Moderate event error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to moderate event",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// --- SHIFTS ---
+
+// What a join keeps of its shift, so /joined can show it
+function shiftSnapshot(shift) {
+  return {
+    _id: shift._id,
+    name: shift.name,
+    startsAt: shift.startsAt,
+    endsAt: shift.endsAt,
+  };
+}
+
+function countShiftTaken(eventId, shiftId) {
+  return joinedCollection.countDocuments({
+    eventId,
+    "shift._id": shiftId,
+    status: { $ne: "withdrawn" },
+  });
+}
+
+// The event's shifts with how many slots are taken. Waitlisted joins keep
+// their shift slot, so they count too.
+async function getShiftFill(event) {
+  const counts = await joinedCollection
+    .aggregate([
+      {
+        $match: {
+          eventId: event._id,
+          "shift._id": { $ne: null },
+          status: { $ne: "withdrawn" },
+        },
+      },
+      { $group: { _id: "$shift._id", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return (event.shifts || []).map((shift) => {
+    const filled = counts.find((c) => c._id.equals(shift._id))?.count || 0;
+    return {
+      ...shift,
+      filled,
+      available: Math.max(shift.slots - filled, 0),
+      isFull: filled >= shift.slots,
+    };
+  });
+}
+
+async function syncShiftSnapshots(eventId, shifts) {
+  for (const shift of shifts) {
+    await joinedCollection.updateMany(
+      { eventId, "shift._id": shift._id },
+      { $set: { shift: shiftSnapshot(shift) } }
+    );
+  }
+}
+
+// Replace the event's shifts (organizer). Shifts that already have
+// participants can be edited but not removed.
+app.put("/events/:id/shifts", verifyToken, validateShifts, async (req, res) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const current = event.shifts || [];
+    const errors = [];
+
+    const shifts = req.body.shifts.map((shift, i) => {
+      if (shift.endsAt <= shift.startsAt) {
+        errors.push({
+          field: `shifts.${i}.endsAt`,
+          code: "invalid_range",
+          message: `shifts.${i}.endsAt must be after startsAt.`,
+        });
+      }
+      if (shift.id && !current.some((c) => c._id.equals(shift.id))) {
+        errors.push({
+          field: `shifts.${i}.id`,
+          code: "invalid_id",
+          message: `shifts.${i}.id is not a shift of this event.`,
+        });
+      }
+
+      return {
+        _id: shift.id ? new ObjectId(shift.id) : new ObjectId(),
+        name: shift.name,
+        startsAt: shift.startsAt,
+        endsAt: shift.endsAt,
+        slots: shift.slots,
+      };
+    });
+
+    if (errors.length) {
+      return res.status(400).json({
+        ok: false,
+        message: "Validation failed.",
+        errors,
+      });
+    }
+
+    for (const removed of current) {
+      if (shifts.some((shift) => shift._id.equals(removed._id))) continue;
+
+      if (await countShiftTaken(event._id, removed._id)) {
+        return res.status(400).json({
+          ok: false,
+          message: `Shift "${removed.name}" has participants and cannot be removed.`,
+        });
+      }
+    }
+
+    await eventsCollection.updateOne(
+      { _id: event._id },
+      { $set: { shifts, updatedAt: new Date() } }
+    );
+    await syncShiftSnapshots(event._id, shifts);
+    await recordAudit(
+      auditActor(req),
+      "event.shifts",
+      { type: "event", id: event._id },
+      { shifts: current },
+      { shifts }
+    );
+
+    res.json({
+      ok: true,
+      message: "Shifts updated.",
+      shifts: await getShiftFill({ ...event, shifts }),
+    });
+  } catch (err) {
+    console.error("Update shifts error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update shifts",
+      error: err.message,
+    });
+  }
+});
+
+// --- JOIN EVENT + JOINED EVENTS ---
+
+// Joins without a status predate withdrawals and count as confirmed
+const CONFIRMED_STATUS = { $nin: ["withdrawn", "waitlisted"] };
+
+function countConfirmed(eventId) {
+  return joinedCollection.countDocuments({ eventId, status: CONFIRMED_STATUS });
+}
+
+// Seats are claimed with a conditional $inc on the event, so concurrent
+// joins can never take more than its capacity (or a shift's slots).
+// seatsTaken counts confirmed joins and shiftTaken.<shiftId> the
+// non-withdrawn joins of each shift.
+async function countSeats(eventId) {
+  const [seatsTaken, shifts] = await Promise.all([
+    countConfirmed(eventId),
+    joinedCollection
+      .aggregate([
+        {
+          $match: {
+            eventId,
+            status: { $ne: "withdrawn" },
+            "shift._id": { $ne: null },
+          },
+        },
+        { $group: { _id: "$shift._id", count: { $sum: 1 } } },
+      ])
+      .toArray(),
+  ]);
+
+  return {
+    seatsTaken,
+    shiftTaken: Object.fromEntries(shifts.map((s) => [String(s._id), s.count])),
+  };
+}
+
+// Keep one join per user and event: a confirmed one over a waitlisted one
+// over a withdrawn one, then the earliest. The seat counters of the events
+// concerned are recounted.
+async function removeDuplicateJoins() {
+  const duplicates = await joinedCollection
+    .aggregate([
+      {
+        $group: {
+          _id: { eventId: "$eventId", userEmail: "$userEmail" },
+          joins: {
+            $push: { _id: "$_id", status: "$status", joinedAt: "$joinedAt" },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+
+  const rank = (join) =>
+    join.status === "withdrawn" ? 2 : join.status === "waitlisted" ? 1 : 0;
+  const eventIds = new Map();
+
+  for (const { _id, joins } of duplicates) {
+    joins.sort(
+      (a, b) => rank(a) - rank(b) || new Date(a.joinedAt) - new Date(b.joinedAt)
+    );
+    await joinedCollection.deleteMany({
+      _id: { $in: joins.slice(1).map((join) => join._id) },
+    });
+    eventIds.set(String(_id.eventId), _id.eventId);
+  }
+
+  for (const eventId of eventIds.values()) {
+    await eventsCollection.updateOne(
+      { _id: eventId },
+      { $set: await countSeats(eventId) }
+    );
+  }
+
+  if (duplicates.length) {
+    console.log(`Removed duplicate joins for ${duplicates.length} users.`);
+  }
+}
+
+// True when a seat was free (or the event has no capacity) and is now taken
+async function claimSeat(eventId) {
+  const result = await eventsCollection.updateOne(
+    {
+      _id: eventId,
+      $expr: {
+        $or: [
+          { $not: ["$capacity"] },
+          { $lt: [{ $ifNull: ["$seatsTaken", 0] }, "$capacity"] },
+        ],
+      },
+    },
+    { $inc: { seatsTaken: 1 } }
+  );
+  return result.modifiedCount === 1;
+}
+
+function releaseSeat(eventId) {
+  return eventsCollection.updateOne(
+    { _id: eventId },
+    { $inc: { seatsTaken: -1 } }
+  );
+}
+
+async function claimShiftSlot(eventId, shift) {
+  const counter = `shiftTaken.${shift._id}`;
+  const result = await eventsCollection.updateOne(
+    {
+      _id: eventId,
+      $expr: { $lt: [{ $ifNull: [`$${counter}`, 0] }, shift.slots] },
+    },
+    { $inc: { [counter]: 1 } }
+  );
+  return result.modifiedCount === 1;
+}
+
+function releaseShiftSlot(eventId, shiftId) {
+  return eventsCollection.updateOne(
+    { _id: eventId },
+    { $inc: { [`shiftTaken.${shiftId}`]: -1 } }
+  );
+}
+
+// Give back what a join held, e.g. when it is withdrawn or never saved
+async function releaseJoin(eventId, { status, shift }) {
+  if (!CONFIRMED_STATUS.$nin.includes(status)) await releaseSeat(eventId);
+  if (shift) await releaseShiftSlot(eventId, shift._id);
+}
+
+// 1-based position of a waitlisted join, ordered by when the user joined
+async function getWaitlistPosition(join) {
+  const ahead = await joinedCollection.countDocuments({
+    eventId: join.eventId,
+    status: "waitlisted",
+    joinedAt: { $lt: join.joinedAt },
+  });
+  return ahead + 1;
+}
+
+// Event fields copied into each joinedEvents document
+function eventSnapshot(event) {
+  return {
+    eventTitle: event.title,
+    eventType: event.eventType,
+    thumbnail: event.thumbnail,
+    location: event.location,
+    eventDate: event.eventDate,
+    creatorEmail: event.creatorEmail,
+  };
+}
+
+// Push edits into the participants' snapshots and record which fields
+// changed so /joined can flag them. Returns the changed snapshot fields.
+async function syncJoinedSnapshots(before, after) {
+  const previous = eventSnapshot(before);
+  const current = eventSnapshot(after);
+  const changedFields = Object.keys(current).filter(
+    (field) => previous[field]?.valueOf() !== current[field]?.valueOf()
+  );
+
+  if (changedFields.length === 0) return changedFields;
+
+  await joinedCollection.updateMany(
+    { eventId: before._id },
+    {
+      $set: { ...current, eventUpdatedAt: new Date() },
+      $addToSet: { changedFields: { $each: changedFields } },
+    }
+  );
+  return changedFields;
+}
+
+// Move waitlisted users into free seats, oldest first
+async function promoteFromWaitlist(event, actor) {
+  const waitlist = await joinedCollection
+    .find({ eventId: event._id, status: "waitlisted" })
+    .sort({ joinedAt: 1 })
+    .toArray();
+
+  const promotion = { status: "joined", promotedAt: new Date() };
+  const waitlisted = [];
+  for (const join of waitlist) {
+    if (!(await claimSeat(event._id))) break;
+
+    // The join may have been withdrawn meanwhile
+    const result = await joinedCollection.updateOne(
+      { _id: join._id, status: "waitlisted" },
+      { $set: promotion }
+    );
+    if (result.modifiedCount) waitlisted.push(join);
+    else await releaseSeat(event._id);
+  }
+
+  if (waitlisted.length === 0) return 0;
+
+  for (const join of waitlisted) {
+    await recordAudit(
+      actor,
+      "join.promote",
+      { type: "join", id: join._id },
+      join,
+      { ...join, ...promotion }
+    );
+  }
+
+  // Callers may only pass { _id, capacity }; webhooks need the whole event
+  const current = await eventsCollection.findOne({ _id: event._id });
+  for (const join of waitlisted) {
+    await emitParticipantWebhook("participant.joined", current, {
+      ...join,
+      ...promotion,
+    });
+  }
+  await queueNotifications(
+    waitlisted.map((join) =>
+      buildNotification("waitlist_promoted", join.userEmail, joinToEvent(join))
+    )
+  );
+  return waitlisted.length;
+}
+
+// Join event
+app.post("/join-event", verifyToken, validateJoin, async (req, res) => {
+  try {
+    const { eventId, shiftId } = req.body;
+    const userEmail = req.user.email;
+
+    const event = await eventsCollection.findOne({
+      _id: new ObjectId(eventId),
+      ...PUBLISHED_FILTER,
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    const existing = await joinedCollection.findOne({
+      eventId: event._id,
+      userEmail,
+    });
+
+    if (existing && existing.status !== "withdrawn") {
+      return res.status(400).json({
+        ok: false,
+        message:
+          existing.status === "waitlisted"
+            ? "You are already on the waitlist for this event."
+            : "You have already joined this event.",
+      });
+    }
+
+    // Events with shifts are joined through one of them
+    let shift = null;
+    if (event.shifts?.length) {
+      shift = shiftId && event.shifts.find((s) => s._id.equals(shiftId));
+
+      if (!shift) {
+        return res.status(400).json({
+          ok: false,
+          message: shiftId
+            ? "Shift not found for this event."
+            : "Choose a shift to join this event.",
+          shifts: await getShiftFill(event),
+        });
+      }
+
+      if (!(await claimShiftSlot(event._id, shift))) {
+        return res.status(400).json({
+          ok: false,
+          message: `The "${shift.name}" shift is full.`,
+          shifts: await getShiftFill(event),
+        });
+      }
+    } else if (shiftId) {
+      return res.status(400).json({
+        ok: false,
+        message: "This event has no shifts.",
+      });
+    }
+
+    const isFull = !(await claimSeat(event._id));
+    const status = isFull ? "waitlisted" : "joined";
+    const joinedAt = new Date();
+    let joinId;
+
+    // A second request for the same user (a retry or double click) loses
+    // here and gives its seat back
+    const alreadyJoined = async () => {
+      await releaseJoin(event._id, { status, shift });
+      return res.status(400).json({
+        ok: false,
+        message: "You have already joined this event.",
+      });
+    };
+
+    if (existing) {
+      // Re-joining after a withdrawal reactivates the original record
+      const update = { ...eventSnapshot(event), status, joinedAt };
+      const unset = {
+        withdrawnAt: "",
+        withdrawReason: "",
+        promotedAt: "",
+        changedFields: "",
+        eventUpdatedAt: "",
+      };
+      if (shift) update.shift = shiftSnapshot(shift);
+      else unset.shift = "";
+
+      const result = await joinedCollection.updateOne(
+        { _id: existing._id, status: "withdrawn" },
+        { $set: update, $unset: unset }
+      );
+      if (!result.modifiedCount) return alreadyJoined();
+      joinId = existing._id;
+
+      await recordAudit(
+        auditActor(req),
+        "join.create",
+        { type: "join", id: joinId },
+        existing,
+        { _id: joinId, eventId: event._id, userEmail, ...update }
+      );
+    } else {
+      const joinDoc = {
+        eventId: event._id,
+        userEmail,
+        status,
+        joinedAt,
+        ...eventSnapshot(event),
+      };
+      if (shift) joinDoc.shift = shiftSnapshot(shift);
+
+      try {
+        joinId = (await joinedCollection.insertOne(joinDoc)).insertedId;
+      } catch (err) {
+        if (err.code === 11000) return alreadyJoined();
+        throw err;
+      }
+
+      await recordAudit(
+        auditActor(req),
+        "join.create",
+        { type: "join", id: joinId },
+        null,
+        joinDoc
+      );
+    }
+
+    await emitParticipantWebhook("participant.joined", event, {
+      _id: joinId,
+      status,
+      shift: shift && shiftSnapshot(shift),
+    });
+
+    if (isFull) {
+      const waitlistPosition = await getWaitlistPosition({
+        eventId: event._id,
+        joinedAt,
+      });
+
+      await queueNotifications([
+        buildNotification("join_waitlisted", userEmail, event, {
+          waitlistPosition,
+        }),
+      ]);
+
+      return res.status(201).json({
+        ok: true,
+        message: `This event is full. You are #${waitlistPosition} on the waitlist.`,
+        joinId,
+        status,
+        waitlistPosition,
+        shift: shift && shiftSnapshot(shift),
+      });
+    }
+
+    await queueNotifications([
+      buildNotification("join_confirmed", userEmail, event),
+    ]);
+
+    res.status(201).json({
+      ok: true,
+      message: "You have successfully joined this event.",
+      joinId,
+      status,
+      shift: shift && shiftSnapshot(shift),
+    });
+  } catch (err) {
+    console.error("Join event error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to join event.",
+      error: err.message,
+    });
+  }
+});
+
+// Withdraw from a joined event (not allowed once the event has started)
+app.post("/leave-event", verifyToken, validateLeave, async (req, res) => {
+  try {
+    const { eventId, reason } = req.body;
+    const userEmail = req.user.email;
+
+    const joined = await joinedCollection.findOne({
+      eventId: new ObjectId(eventId),
+      userEmail,
+      status: { $ne: "withdrawn" },
+    });
+
+    if (!joined) {
+      return res.status(404).json({
+        ok: false,
+        message: "You have not joined this event.",
+      });
+    }
+
+    const event = await eventsCollection.findOne({
+      _id: new ObjectId(eventId),
+    });
+    const eventDate = event ? event.eventDate : joined.eventDate;
+
+    if (new Date(eventDate) <= new Date()) {
+      return res.status(400).json({
+        ok: false,
+        message: "You cannot withdraw after the event has started.",
+      });
+    }
+
+    const withdrawal = {
+      status: "withdrawn",
+      withdrawnAt: new Date(),
+      withdrawReason: reason || "",
+    };
+    const result = await joinedCollection.updateOne(
+      { _id: joined._id, status: joined.status },
+      { $set: withdrawal }
+    );
+
+    if (!result.modifiedCount) {
+      return res.status(409).json({
+        ok: false,
+        message: "Your place changed meanwhile. Please try again.",
+      });
+    }
+
+    // A trashed event keeps its counters as they are; restoring it
+    // recounts them and fills the places freed meanwhile
+    const trashed = Boolean(event?.deletedAt);
+    if (!trashed) await releaseJoin(joined.eventId, joined);
+    await recordAudit(
+      auditActor(req),
+      "join.withdraw",
+      { type: "join", id: joined._id },
+      joined,
+      { ...joined, ...withdrawal }
+    );
+
+    if (event && !trashed && joined.status !== "waitlisted") {
+      await promoteFromWaitlist(event, auditActor(req));
+    }
+    if (event) {
+      await emitParticipantWebhook("participant.left", event, {
+        ...joined,
+        ...withdrawal,
+      });
+    }
+
+    res.json({
+      ok: true,
+      message: "You have withdrawn from this event.",
+    });
+  } catch (err) {
+    console.error("Leave event error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to withdraw from event.",
+      error: err.message,
+    });
+  }
+});
+
+// Delete event (creator or admin)
+app.delete("/events/:id", verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const existing = await eventsCollection.findOne({
+      _id: new ObjectId(id),
+      ...NOT_DELETED,
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    if (!(await canManageEvent(existing, req.user.email))) {
+      return res.status(403).json({
+        ok: false,
+        message: "You are not allowed to delete this event.",
+      });
+    }
+
+    const scope = await resolveEventScope(existing, req.query.scope);
+
+    if (scope.error) {
+      return res.status(400).json({
+        ok: false,
+        message: scope.error,
+      });
+    }
+
+    // One timestamp for the whole request so a series restores together
+    const deletedAt = new Date();
+    for (const event of scope.events) {
+      await deleteEvent(event, auditActor(req), deletedAt);
+    }
+
+    res.json({
+      ok: true,
+      message: "Event moved to trash.",
+      deletedCount: scope.events.length,
+      restoreUntil: trashExpiry({ deletedAt }),
+    });
+  } catch (err) {
+    console.error("Delete event error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to delete event",
+      error: err.message,
+    });
+  }
+});
+
+// Restore a deleted event from the trash. ?scope=series also restores the
+// occurrences that were deleted with it.
+app.post("/events/:id/restore", verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const event = await eventsCollection.findOne({
+      _id: new ObjectId(id),
+      deletedAt: { $ne: null },
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        ok: false,
+        message: "Deleted event not found.",
+      });
+    }
+
+    if (!(await canManageEvent(event, req.user.email))) {
+      return res.status(403).json({
+        ok: false,
+        message: "You are not allowed to restore this event.",
+      });
+    }
+
+    if (trashExpiry(event) <= new Date()) {
+      return res.status(410).json({
+        ok: false,
+        message: `Events can only be restored within ${TRASH_RETENTION_DAYS} days of deletion.`,
+      });
+    }
+
+    const scope = req.query.scope || "occurrence";
+    let events = [event];
+
+    if (scope === "series" && event.seriesId) {
+      events = await eventsCollection
+        .find({ seriesId: event.seriesId, deletedAt: event.deletedAt })
+        .toArray();
+    } else if (scope !== "occurrence" && scope !== "series") {
+      return res.status(400).json({
+        ok: false,
+        message: "scope must be occurrence or series.",
+      });
+    }
+
+    for (const deleted of events) {
+      await restoreEvent(deleted, auditActor(req));
+    }
+
+    res.json({
+      ok: true,
+      message: "Event restored.",
+      restoredCount: events.length,
+    });
+  } catch (err) {
+    console.error("Restore event error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to restore event",
+      error: err.message,
+    });
+  }
+});
+
+// Joined events of the caller
+app.get("/joined", verifyToken, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const query = { userEmail };
+    if (req.query.includeWithdrawn !== "true") {
+      query.status = { $ne: "withdrawn" };
+    }
+
+    const joinedEvents = await joinedCollection
+      .find(query, { projection: { checkInCode: 0 } })
+      .sort({ eventDate: 1 })
+      .toArray();
+
+    for (const joined of joinedEvents) {
+      joined.eventChanged = Boolean(joined.changedFields?.length);
+      joined.eventCancelled = Boolean(joined.eventDeletedAt);
+      joined.shift = joined.shift || null;
+      joined.attendance = joined.attendance || null;
+      if (joined.status === "waitlisted") {
+        joined.waitlistPosition = await getWaitlistPosition(joined);
+      }
+    }
+
+    res.json({
+      ok: true,
+      count: joinedEvents.length,
+      joinedEvents,
+    });
+  } catch (err) {
+    console.error("Get joined events error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load joined events",
+      error: err.message,
+    });
+  }
+});
+
+// --- CHECK-IN + ATTENDANCE ---
+
+// Check-in opens this many hours before the event starts
+const CHECK_IN_OPENS_HOURS = 24;
+// No ambiguous characters (0/O, 1/I) so codes can be read out or typed
+const CHECK_IN_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function generateCheckInCode() {
+  const bytes = crypto.randomBytes(8);
+  return Array.from(
+    bytes,
+    (byte) => CHECK_IN_ALPHABET[byte % CHECK_IN_ALPHABET.length]
+  ).join("");
+}
+
+// Load the :id event and make sure the caller may manage it. Sends the
+// error response and returns null when not.
+async function loadManagedEvent(req, res) {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({
+      ok: false,
+      message: "Invalid event id.",
+    });
+    return null;
+  }
+
+  const event = await eventsCollection.findOne({
+    _id: new ObjectId(id),
+    ...NOT_DELETED,
+  });
+
+  if (!event) {
+    res.status(404).json({
+      ok: false,
+      message: "Event not found.",
+    });
+    return null;
+  }
+
+  if (!(await canManageEvent(event, req.user.email))) {
+    res.status(403).json({
+      ok: false,
+      message: "Only the organizer can manage this event.",
+    });
+    return null;
+  }
+
+  return event;
+}
+
+// Participant's own check-in code (e.g. to show as a QR code)
+app.get("/joined/:eventId/check-in", verifyToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!ObjectId.isValid(eventId)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid eventId.",
+      });
+    }
+
+    const joined = await joinedCollection.findOne({
+      eventId: new ObjectId(eventId),
+      userEmail: req.user.email,
+      status: CONFIRMED_STATUS,
+      eventDeletedAt: null,
+    });
+
+    if (!joined) {
+      return res.status(404).json({
+        ok: false,
+        message: "You do not have a confirmed place at this event.",
+      });
+    }
+
+    let code = joined.checkInCode;
+
+    if (!code) {
+      code = generateCheckInCode();
+      await joinedCollection.updateOne(
+        { _id: joined._id },
+        { $set: { checkInCode: code } }
+      );
+    }
+
+    res.json({
+      ok: true,
+      code,
+      qrData: `${eventId}:${code}`,
+      attendance: joined.attendance || null,
+    });
+  } catch (err) {
+    console.error("Get check-in code error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to get check-in code",
+      error: err.message,
+    });
+  }
+});
+
+// Organizer checks a participant in with their code
+app.post(
+  "/events/:id/check-in",
+  verifyToken,
+  validateCheckIn,
+  async (req, res) => {
+    try {
+      const event = await loadManagedEvent(req, res);
+      if (!event) return;
+
+      const opensAt = new Date(
+        new Date(event.eventDate).getTime() -
+          CHECK_IN_OPENS_HOURS * 60 * 60 * 1000
+      );
+
+      if (new Date() < opensAt) {
+        return res.status(400).json({
+          ok: false,
+          message: `Check-in opens ${CHECK_IN_OPENS_HOURS} hours before the event.`,
+        });
+      }
+
+      // Accept both the bare code and the "<eventId>:<code>" QR payload
+      const code = req.body.code.split(":").pop().toUpperCase();
+
+      const joined = await joinedCollection.findOne({
+        eventId: event._id,
+        checkInCode: code,
+        status: CONFIRMED_STATUS,
+      });
+
+      if (!joined) {
+        return res.status(404).json({
+          ok: false,
+          message: "Check-in code not found for this event.",
+        });
+      }
+
+      if (joined.attendance === "attended") {
+        return res.status(400).json({
+          ok: false,
+          message: "This participant is already checked in.",
+          userEmail: joined.userEmail,
+          checkedInAt: joined.checkedInAt,
+        });
+      }
+
+      const checkIn = {
+        attendance: "attended",
+        checkedInAt: new Date(),
+        checkedInBy: req.user.email,
+      };
+      await joinedCollection.updateOne({ _id: joined._id }, { $set: checkIn });
+      await recordAudit(
+        auditActor(req),
+        "join.attendance",
+        { type: "join", id: joined._id },
+        joined,
+        { ...joined, ...checkIn }
+      );
+
+      res.json({
+        ok: true,
+        message: "Participant checked in.",
+        userEmail: joined.userEmail,
+      });
+    } catch (err) {
+      console.error("Check-in error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to check in participant",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Organizer corrects a single participant's attendance
+app.patch(
+  "/events/:id/attendance",
+  verifyToken,
+  validateAttendance,
+  async (req, res) => {
+    try {
+      const event = await loadManagedEvent(req, res);
+      if (!event) return;
+
+      const { userEmail, attendance } = req.body;
+
+      if (attendance === "no_show" && new Date(event.eventDate) > new Date()) {
+        return res.status(400).json({
+          ok: false,
+          message: "No-shows can only be marked after the event has started.",
+        });
+      }
+
+      const marking = {
+        attendance,
+        attendanceMarkedAt: new Date(),
+        attendanceMarkedBy: req.user.email,
+      };
+      const joined = await joinedCollection.findOneAndUpdate(
+        { eventId: event._id, userEmail, status: CONFIRMED_STATUS },
+        { $set: marking }
+      );
+
+      if (!joined) {
+        return res.status(404).json({
+          ok: false,
+          message: "Participant not found for this event.",
+        });
+      }
+
+      await recordAudit(
+        auditActor(req),
+        "join.attendance",
+        { type: "join", id: joined._id },
+        joined,
+        { ...joined, ...marking }
+      );
+
+      res.json({
+        ok: true,
+        message: "Attendance updated.",
+      });
+    } catch (err) {
+      console.error("Update attendance error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to update attendance",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Mark every confirmed participant who never checked in as a no-show
+app.post("/events/:id/no-shows", verifyToken, async (req, res) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    if (new Date(event.eventDate) > new Date()) {
+      return res.status(400).json({
+        ok: false,
+        message: "No-shows can only be marked after the event has started.",
+      });
+    }
+
+    const unmarked = await joinedCollection
+      .find({
+        eventId: event._id,
+        status: CONFIRMED_STATUS,
+        attendance: { $exists: false },
+      })
+      .toArray();
+
+    const marking = {
+      attendance: "no_show",
+      attendanceMarkedAt: new Date(),
+      attendanceMarkedBy: req.user.email,
+    };
+    const result = await joinedCollection.updateMany(
+      { _id: { $in: unmarked.map((j) => j._id) } },
+      { $set: marking }
+    );
+
+    for (const join of unmarked) {
+      await recordAudit(
+        auditActor(req),
+        "join.attendance",
+        { type: "join", id: join._id },
+        join,
+        { ...join, ...marking }
+      );
+    }
+
+    res.json({
+      ok: true,
+      message: "Remaining participants marked as no-shows.",
+      modifiedCount: result.modifiedCount,
+    });
+  } catch (err) {
+    console.error("Mark no-shows error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to mark no-shows",
+      error: err.message,
+    });
+  }
+});
+
+// Attendance summary for the organizer
+app.get("/events/:id/attendance", verifyToken, async (req, res) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const participants = await joinedCollection
+      .find(
+        { eventId: event._id, status: CONFIRMED_STATUS },
+        {
+          projection: {
+            userEmail: 1,
+            attendance: 1,
+            checkedInAt: 1,
+            joinedAt: 1,
+          },
+        }
+      )
+      .sort({ joinedAt: 1 })
+      .toArray();
+
+    const attended = participants.filter(
+      (p) => p.attendance === "attended"
+    ).length;
+    const noShows = participants.filter(
+      (p) => p.attendance === "no_show"
+    ).length;
+
+    res.json({
+      ok: true,
+      confirmed: participants.length,
+      attended,
+      noShows,
+      unmarked: participants.length - attended - noShows,
+      attendanceRate: participants.length
+        ? Math.round((attended / participants.length) * 1000) / 1000
+        : null,
+      participants,
+    });
+  } catch (err) {
+    console.error("Get attendance error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load attendance",
+      error: err.message,
+    });
+  }
+});
+
+// --- PARTICIPANT EXPORT ---
+
+const PARTICIPANT_COLUMNS = [
+  ["displayName", "Display name"],
+  ["email", "Email"],
+  ["joinedAt", "Joined at"],
+  ["status", "Status"],
+  ["shift", "Shift"],
+];
+
+// Quote a CSV cell. Values starting with a formula character are prefixed
+// with ' so spreadsheets do not evaluate them.
+function csvCell(value) {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(columns, rows) {
+  return [
+    columns.map(([, label]) => csvCell(label)).join(","),
+    ...rows.map((row) => columns.map(([key]) => csvCell(row[key])).join(",")),
+  ].join("\r\n");
+}
+
+// Participants of an event with their profile (organizer only).
+// ?format=csv or ?format=json downloads a file; withdrawn joins are left out
+// unless ?includeWithdrawn=true.
+app.get("/events/:id/participants", verifyToken, async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    if (format && !["csv", "json"].includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        message: "format must be csv or json.",
+      });
+    }
+
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const match = { eventId: event._id };
+    if (req.query.includeWithdrawn !== "true") {
+      match.status = { $ne: "withdrawn" };
+    }
+
+    const participants = await joinedCollection
+      .aggregate([
+        { $match: match },
+        { $sort: { joinedAt: 1 } },
+        {
+          $lookup: {
+            from: "users",
+            localField: "userEmail",
+            foreignField: "email",
+            as: "user",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            displayName: {
+              $ifNull: [{ $arrayElemAt: ["$user.displayName", 0] }, null],
+            },
+            photoURL: {
+              $ifNull: [{ $arrayElemAt: ["$user.photoURL", 0] }, null],
+            },
+            email: "$userEmail",
+            joinedAt: 1,
+            status: { $ifNull: ["$status", "joined"] },
+            shift: { $ifNull: ["$shift.name", null] },
+          },
+        },
+      ])
+      .toArray();
+
+    const filename = `participants-${event._id}`;
+
+    if (format === "csv") {
+      return res
+        .type("text/csv; charset=utf-8")
+        .attachment(`${filename}.csv`)
+        .send(buildCsv(PARTICIPANT_COLUMNS, participants));
+    }
+
+    if (format === "json") res.attachment(`${filename}.json`);
+
+    res.json({
+      ok: true,
+      eventId: event._id,
+      eventTitle: event.title,
+      count: participants.length,
+      participants,
+    });
+  } catch (err) {
+    console.error("Get participants error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load participants",
+      error: err.message,
+    });
+  }
+});
+
+// --- VOLUNTEER HOURS + CERTIFICATES ---
+
+// Hours credited for an attended event that has no shift or durationHours
+const DEFAULT_EVENT_HOURS = 2;
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+// A shift's length, else the event's durationHours
+function joinHours(join, event) {
+  if (join.shift) {
+    const length = new Date(join.shift.endsAt) - new Date(join.shift.startsAt);
+    return roundHours(length / (60 * 60 * 1000));
+  }
+  return event?.durationHours ?? DEFAULT_EVENT_HOURS;
+}
+
+// Adjustments can at most double what an event earns (its shift or event
+// length) and never take it below zero. Returns an error message, or null
+// when `hours` more still fits next to the approved ones.
+async function checkAdjustmentLimit(join, event, hours) {
+  const base = joinHours(join, event);
+  const approved = await hourAdjustmentsCollection
+    .find(
+      { eventId: event._id, userEmail: join.userEmail, status: "approved" },
+      { projection: { hours: 1 } }
+    )
+    .toArray();
+  const sofar = approved.reduce((sum, a) => sum + a.hours, 0);
+
+  if (Math.abs(sofar + hours) > base) {
+    return `Adjustments for this event must stay within ${base} hours either way (${roundHours(sofar)} approved so far).`;
+  }
+  return null;
+}
+
+// Attended events plus approved adjustments for a user, oldest first,
+// optionally for one event. Adjustments only count while the attendance
+// they belong to does.
+async function getVolunteerLedger(userEmail, eventId) {
+  const joinFilter = {
+    userEmail,
+    status: CONFIRMED_STATUS,
+    attendance: "attended",
+    eventDeletedAt: null,
+  };
+  const adjustmentFilter = { userEmail, status: "approved" };
+  if (eventId) {
+    joinFilter.eventId = eventId;
+    adjustmentFilter.eventId = eventId;
+  }
+
+  const [joins, adjustments] = await Promise.all([
+    joinedCollection.find(joinFilter).toArray(),
+    hourAdjustmentsCollection.find(adjustmentFilter).toArray(),
+  ]);
+  const events = await eventsCollection
+    .find(
+      { _id: { $in: joins.map((j) => j.eventId) } },
+      { projection: { durationHours: 1 } }
+    )
+    .toArray();
+
+  const entries = [
+    ...joins.map((join) => ({
+      type: "attendance",
+      eventId: join.eventId,
+      eventTitle: join.eventTitle,
+      date: join.eventDate,
+      hours: joinHours(
+        join,
+        events.find((e) => e._id.equals(join.eventId))
+      ),
+      shift: join.shift?.name || null,
+    })),
+    ...adjustments
+      .filter((a) => joins.some((j) => j.eventId.equals(a.eventId)))
+      .map((adjustment) => ({
+        type: "adjustment",
+        eventId: adjustment.eventId,
+        eventTitle: adjustment.eventTitle,
+        date: adjustment.decidedAt,
+        hours: adjustment.hours,
+        reason: adjustment.reason,
+        approvedBy: adjustment.decidedBy,
+      })),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const total = entries.reduce((sum, entry) => sum + entry.hours, 0);
+  return {
+    totalHours: roundHours(Math.max(total, 0)),
+    eventCount: joins.length,
+    entries,
+  };
+}
+
+// Volunteer hours ledger for a user (the user themselves or an admin)
+app.get("/users/:email/hours", verifyToken, async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    if (email !== req.user.email && !(await isAdmin(req.user.email))) {
+      return res.status(403).json({
+        ok: false,
+        message: "You can only view your own volunteer hours.",
+      });
+    }
+
+    const ledger = await getVolunteerLedger(email);
+
+    res.json({
+      ok: true,
+      email,
+      ...ledger,
+    });
+  } catch (err) {
+    console.error("Get volunteer hours error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load volunteer hours",
+      error: err.message,
+    });
+  }
+});
+
+// Ask for extra (or fewer) hours on an attended event. Organizers can add
+// an adjustment for a participant with userEmail; theirs are approved
+// straight away. Requests for the caller's own hours, organizers included,
+// wait for another organizer.
+app.post(
+  "/events/:id/hours/adjustments",
+  verifyToken,
+  validateHoursAdjustment,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { hours, reason, userEmail } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid event id.",
+        });
+      }
+
+      const event = await eventsCollection.findOne({
+        _id: new ObjectId(id),
+        ...NOT_DELETED,
+      });
+
+      if (!event) {
+        return res.status(404).json({
+          ok: false,
+          message: "Event not found.",
+        });
+      }
+
+      const isOrganizer = await canManageEvent(event, req.user.email);
+
+      if (userEmail && !isOrganizer) {
+        return res.status(403).json({
+          ok: false,
+          message: "Only the organizer can adjust another participant's hours.",
+        });
+      }
+
+      if (hours === 0) {
+        return res.status(400).json({
+          ok: false,
+          message: "hours must not be 0.",
+        });
+      }
+
+      const target = userEmail || req.user.email;
+      const attended = await joinedCollection.findOne({
+        eventId: event._id,
+        userEmail: target,
+        status: CONFIRMED_STATUS,
+        attendance: "attended",
+      });
+
+      if (!attended) {
+        return res.status(400).json({
+          ok: false,
+          message: "Hours can only be adjusted for participants who attended.",
+        });
+      }
+
+      const limitError = await checkAdjustmentLimit(attended, event, hours);
+      if (limitError) {
+        return res.status(400).json({
+          ok: false,
+          message: limitError,
+        });
+      }
+
+      const approve = isOrganizer && target !== req.user.email;
+      const now = new Date();
+      const doc = {
+        eventId: event._id,
+        eventTitle: event.title,
+        userEmail: target,
+        hours,
+        reason,
+        requestedBy: req.user.email,
+        status: approve ? "approved" : "pending",
+        createdAt: now,
+      };
+      if (approve) {
+        doc.decidedBy = req.user.email;
+        doc.decidedAt = now;
+      }
+
+      const result = await hourAdjustmentsCollection.insertOne(doc);
+
+      res.status(201).json({
+        ok: true,
+        message: approve
+          ? "Hours adjusted."
+          : "Adjustment sent to the organizer for approval.",
+        adjustmentId: result.insertedId,
+        status: doc.status,
+      });
+    } catch (err) {
+      console.error("Create hours adjustment error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to adjust hours",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Adjustments on an event (organizer), optionally by ?status=
+app.get("/events/:id/hours/adjustments", verifyToken, async (req, res) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const filter = { eventId: event._id };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const adjustments = await hourAdjustmentsCollection
+      .find(filter)
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    res.json({
+      ok: true,
+      count: adjustments.length,
+      adjustments,
+    });
+  } catch (err) {
+    console.error("Get hours adjustments error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load hours adjustments",
+      error: err.message,
+    });
+  }
+});
+
+// Approve or reject a pending adjustment (organizer)
+app.patch(
+  "/events/:id/hours/adjustments/:adjustmentId",
+  verifyToken,
+  validateHoursDecision,
+  async (req, res) => {
+    try {
+      const event = await loadManagedEvent(req, res);
+      if (!event) return;
+
+      const { adjustmentId } = req.params;
+      const { status, note } = req.body;
+
+      if (!ObjectId.isValid(adjustmentId)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid adjustment id.",
+        });
+      }
+
+      const pending = await hourAdjustmentsCollection.findOne({
+        _id: new ObjectId(adjustmentId),
+        eventId: event._id,
+        status: "pending",
+      });
+
+      if (pending?.userEmail === req.user.email) {
+        return res.status(403).json({
+          ok: false,
+          message: "Another organizer has to decide on your own hours.",
+        });
+      }
+
+      if (pending && status === "approved") {
+        const attended = await joinedCollection.findOne({
+          eventId: event._id,
+          userEmail: pending.userEmail,
+          status: CONFIRMED_STATUS,
+          attendance: "attended",
+        });
+        const limitError = attended
+          ? await checkAdjustmentLimit(attended, event, pending.hours)
+          : "The participant is no longer marked as attended.";
+
+        if (limitError) {
+          return res.status(400).json({
+            ok: false,
+            message: limitError,
+          });
+        }
+      }
+
+      const adjustment = await hourAdjustmentsCollection.findOneAndUpdate(
+        {
+          _id: new ObjectId(adjustmentId),
+          eventId: event._id,
+          status: "pending",
+        },
+        {
+          $set: {
+            status,
+            note: note || "",
+            decidedBy: req.user.email,
+            decidedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (!adjustment) {
+        return res.status(404).json({
+          ok: false,
+          message: "Pending adjustment not found.",
+        });
+      }
+
+      res.json({
+        ok: true,
+        message: `Adjustment ${status}.`,
+        adjustment,
+      });
+    } catch (err) {
+      console.error("Decide hours adjustment error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to update hours adjustment",
+        error: err.message,
+      });
+    }
+  }
+);
+
+function generateCertificateCode() {
+  const code = Array.from(
+    crypto.randomBytes(12),
+    (byte) => CHECK_IN_ALPHABET[byte % CHECK_IN_ALPHABET.length]
+  ).join("");
+  return code.match(/.{4}/g).join("-");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+}
+
+// Printable certificate; the verification link lets anyone check it
+function buildCertificateHtml(certificate, verifyUrl) {
+  const date = new Date(certificate.eventDate).toDateString();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Certificate of Participation</title>
+<style>
+  body { font-family: Georgia, serif; text-align: center; padding: 48px; }
+  .frame { border: 6px double #2f6f3e; padding: 48px; }
+  h1 { color: #2f6f3e; margin-bottom: 8px; }
+  .name { font-size: 32px; margin: 24px 0; }
+  .code { font-family: monospace; margin-top: 32px; color: #555; }
+</style>
+</head>
+<body>
+<div class="frame">
+  <h1>Certificate of Participation</h1>
+  <p>This certifies that</p>
+  <p class="name">${escapeHtml(certificate.holderName)}</p>
+  <p>volunteered at <strong>${escapeHtml(certificate.eventTitle)}</strong>
+  on ${escapeHtml(date)}, contributing ${escapeHtml(certificate.hours)} hours.</p>
+  <p class="code">Certificate ${escapeHtml(certificate.code)}<br>
+  Verify at ${escapeHtml(verifyUrl)}</p>
+</div>
+</body>
+</html>
+`;
+}
+
+// The caller's participation certificate for an attended event. Issued
+// once (the code never changes); hours are refreshed on every download.
+// ?format=json returns the record instead of the HTML document.
+app.get("/events/:id/certificate", verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const event = await eventsCollection.findOne({
+      _id: new ObjectId(id),
+      ...NOT_DELETED,
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    const ledger = await getVolunteerLedger(req.user.email, event._id);
+
+    if (ledger.eventCount === 0) {
+      return res.status(403).json({
+        ok: false,
+        message: "Certificates are only issued to participants who attended.",
+      });
+    }
+
+    const user = await usersCollection.findOne({ email: req.user.email });
+    const now = new Date();
+    const certificate = await certificatesCollection.findOneAndUpdate(
+      { eventId: event._id, userEmail: req.user.email },
+      {
+        $set: {
+          holderName:
+            user?.displayName || req.user.displayName || req.user.email,
+          eventTitle: event.title,
+          eventDate: event.eventDate,
+          hours: ledger.totalHours,
+          updatedAt: now,
+        },
+        $setOnInsert: { code: generateCertificateCode(), issuedAt: now },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    const verifyUrl = `${req.protocol}://${req.get("host")}/certificates/${
+      certificate.code
+    }`;
+
+    if (req.query.format === "json") {
+      return res.json({
+        ok: true,
+        certificate,
+        verifyUrl,
+      });
+    }
+
+    res
+      .type("text/html; charset=utf-8")
+      .attachment(`certificate-${certificate.code}.html`)
+      .send(buildCertificateHtml(certificate, verifyUrl));
+  } catch (err) {
+    console.error("Get certificate error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to issue certificate",
+      error: err.message,
+    });
+  }
+});
+
+// Public lookup of a certificate code. A certificate stops being valid if
+// the attendance behind it is withdrawn or the event is deleted.
+app.get("/certificates/:code", async (req, res) => {
+  try {
+    const code = String(req.params.code).toUpperCase();
+    const certificate = await certificatesCollection.findOne({ code });
+
+    if (!certificate) {
+      return res.status(404).json({
+        ok: false,
+        valid: false,
+        message: "Certificate not found.",
+      });
+    }
+
+    const ledger = await getVolunteerLedger(
+      certificate.userEmail,
+      certificate.eventId
+    );
+
+    res.json({
+      ok: true,
+      valid: ledger.eventCount > 0,
+      certificate: {
+        code: certificate.code,
+        holderName: certificate.holderName,
+        eventTitle: certificate.eventTitle,
+        eventDate: certificate.eventDate,
+        hours: certificate.hours,
+        issuedAt: certificate.issuedAt,
+      },
+    });
+  } catch (err) {
+    console.error("Verify certificate error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to verify certificate",
+      error: err.message,
+    });
+  }
+});
+
+// --- COMMENTS ---
+
+// Find the :id event and :commentId comment. Sends the error response and
+// returns null when either is missing.
+async function loadComment(req, res) {
+  const { id, commentId } = req.params;
+
+  if (!ObjectId.isValid(id) || !ObjectId.isValid(commentId)) {
+    res.status(400).json({
+      ok: false,
+      message: "Invalid event or comment id.",
+    });
+    return null;
+  }
+
+  const event = await eventsCollection.findOne({
+    _id: new ObjectId(id),
+    ...NOT_DELETED,
+  });
+  const comment = event
+    ? await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        eventId: event._id,
+      })
+    : null;
+
+  if (!comment) {
+    res.status(404).json({
+      ok: false,
+      message: "Comment not found.",
+    });
+    return null;
+  }
+
+  return { event, comment };
+}
+
+// List comments on an event, pinned first then oldest first. Authors are
+// shown by name; isMine tells the caller which comments they wrote.
+app.get("/events/:id/comments", optionalToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!event || !(await canViewEvent(event, req.user))) {
+      return res.status(404).json({
+        ok: false,
+        message: "Event not found.",
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        ok: false,
+        message: pagination.error,
+      });
+    }
+
+    const { page, limit } = pagination;
+
+    const filter = { eventId: event._id };
+    const [comments, total] = await Promise.all([
+      commentsCollection
+        .find(filter)
+        .sort({ pinned: -1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      commentsCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      ok: true,
+      count: comments.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      comments: comments.map(({ authorEmail, ...comment }) => ({
+        ...comment,
+        isMine: Boolean(req.user) && authorEmail === req.user.email,
+      })),
+    });
+  } catch (err) {
+    console.error("Get comments error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load comments",
+      error: err.message,
+    });
+  }
+});
+
+// Add a comment
+app.post(
+  "/events/:id/comments",
+  verifyToken,
+  validateComment,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid event id.",
+        });
+      }
+
+      const event = await eventsCollection.findOne({
+        _id: new ObjectId(id),
+        ...NOT_DELETED,
+      });
+
+      if (!event || !(await canViewEvent(event, req.user))) {
+        return res.status(404).json({
+          ok: false,
+          message: "Event not found.",
+        });
+      }
+
+      const comment = {
+        eventId: event._id,
+        authorEmail: req.user.email,
+        authorName: req.user.displayName,
+        body: req.body.body,
+        pinned: false,
+        createdAt: new Date(),
+      };
+
+      const result = await commentsCollection.insertOne(comment);
+
+      res.status(201).json({
+        ok: true,
+        message: "Comment added.",
+        comment: { ...comment, _id: result.insertedId },
+      });
+    } catch (err) {
+      console.error("Create comment error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to add comment",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Edit own comment
+app.patch(
+  "/events/:id/comments/:commentId",
+  verifyToken,
+  validateComment,
+  async (req, res) => {
+    try {
+      const found = await loadComment(req, res);
+      if (!found) return;
+
+      if (found.comment.authorEmail !== req.user.email) {
+        return res.status(403).json({
+          ok: false,
+          message: "You can only edit your own comments.",
+        });
+      }
+
+      await commentsCollection.updateOne(
+        { _id: found.comment._id },
+        { $set: { body: req.body.body, updatedAt: new Date() } }
+      );
+
+      res.json({
+        ok: true,
+        message: "Comment updated.",
+      });
+    } catch (err) {
+      console.error("Update comment error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to update comment",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Pin or unpin a comment (event creator or admin)
+app.patch(
+  "/events/:id/comments/:commentId/pin",
+  verifyToken,
+  validatePin,
+  async (req, res) => {
+    try {
+      const found = await loadComment(req, res);
+      if (!found) return;
+
+      if (!(await canManageEvent(found.event, req.user.email))) {
+        return res.status(403).json({
+          ok: false,
+          message: "Only the organizer can pin comments.",
+        });
+      }
+
+      await commentsCollection.updateOne(
+        { _id: found.comment._id },
+        { $set: { pinned: req.body.pinned } }
+      );
+
+      res.json({
+        ok: true,
+        message: req.body.pinned ? "Comment pinned." : "Comment unpinned.",
+      });
+    } catch (err) {
+      console.error("Pin comment error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to pin comment",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Delete a comment (author, event creator or admin)
+app.delete("/events/:id/comments/:commentId", verifyToken, async (req, res) => {
+  try {
+    const found = await loadComment(req, res);
+    if (!found) return;
+
+    if (
+      found.comment.authorEmail !== req.user.email &&
+      !(await canManageEvent(found.event, req.user.email))
+    ) {
+      return res.status(403).json({
+        ok: false,
+        message: "You are not allowed to delete this comment.",
+      });
+    }
+
+    await commentsCollection.deleteOne({ _id: found.comment._id });
+
+    res.json({
+      ok: true,
+      message: "Comment deleted.",
+    });
+  } catch (err) {
+    console.error("Delete comment error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to delete comment",
+      error: err.message,
+    });
+  }
+});
+
+// --- RATINGS + REVIEWS ---
+
+// { average, count } over the reviews matching filter
+async function getRatingSummary(filter) {
+  const [summary] = await reviewsCollection
+    .aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: "$rating" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  return {
+    average: summary ? Math.round(summary.average * 10) / 10 : null,
+    count: summary ? summary.count : 0,
+  };
+}
+
+// Rate an event after it took place. Participants who were marked as a
+// no-show cannot review. Posting again replaces the caller's review.
+app.post(
+  "/events/:id/reviews",
+  verifyToken,
+  validateReview,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { rating, review } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          ok: false,
+          message: "Invalid event id.",
+        });
+      }
+
+      const event = await eventsCollection.findOne({
+        _id: new ObjectId(id),
+        ...NOT_DELETED,
+      });
+
+      if (!event) {
+        return res.status(404).json({
+          ok: false,
+          message: "Event not found.",
+        });
+      }
+
+      if (new Date(event.eventDate) > new Date()) {
+        return res.status(400).json({
+          ok: false,
+          message: "You can review an event once it has taken place.",
+        });
+      }
+
+      const joined = await joinedCollection.findOne({
+        eventId: event._id,
+        userEmail: req.user.email,
+        status: CONFIRMED_STATUS,
+      });
+
+      if (!joined || joined.attendance === "no_show") {
+        return res.status(403).json({
+          ok: false,
+          message: "Only participants of this event can review it.",
+        });
+      }
+
+      const now = new Date();
+      const result = await reviewsCollection.updateOne(
+        { eventId: event._id, userEmail: req.user.email },
+        {
+          $set: {
+            rating,
+            review: review || "",
+            userName: req.user.displayName,
+            creatorEmail: event.creatorEmail,
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true }
+      );
+
+      res.status(result.upsertedCount ? 201 : 200).json({
+        ok: true,
+        message: result.upsertedCount ? "Review added." : "Review updated.",
+        rating: await getRatingSummary({ eventId: event._id }),
+      });
+    } catch (err) {
+      console.error("Save review error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to save review",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Reviews for an event, newest first
+app.get("/events/:id/reviews", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        ok: false,
+        message: "Invalid event id.",
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        ok: false,
+        message: pagination.error,
+      });
+    }
+
+    const { page, limit } = pagination;
+
+    const filter = { eventId: new ObjectId(id) };
+    const [reviews, rating] = await Promise.all([
+      reviewsCollection
+        .find(filter, { projection: { userEmail: 0 } })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      getRatingSummary(filter),
+    ]);
+
+    res.json({
+      ok: true,
+      count: reviews.length,
+      total: rating.count,
+      page,
+      limit,
+      totalPages: Math.ceil(rating.count / limit),
+      rating,
+      reviews,
+    });
+  } catch (err) {
+    console.error("Get reviews error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load reviews",
+      error: err.message,
+    });
+  }
+});
+
+// Rating across all events an organizer created, leaving out events in
+// the trash
+app.get("/organizers/:email/rating", async (req, res) => {
+  try {
+    const { email } = req.params;
+    const filter = { creatorEmail: email, eventDeletedAt: null };
+
+    // distinct is not part of the Stable API, so group instead
+    const [rating, ratedEvents] = await Promise.all([
+      getRatingSummary(filter),
+      reviewsCollection
+        .aggregate([{ $match: filter }, { $group: { _id: "$eventId" } }])
+        .toArray(),
+    ]);
+
+    res.json({
+      ok: true,
+      email,
+      rating,
+      ratedEvents: ratedEvents.length,
+    });
+  } catch (err) {
+    console.error("Get organizer rating error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load organizer rating",
+      error: err.message,
+    });
+  }
+});
+
+// --- NOTIFICATIONS ---
+
+// Messages are written to the notifications collection (an outbox) and
+// delivered later by the cron worker, so a slow or failing mail server
+// never breaks the request that triggered them.
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+const NOTIFICATION_BATCH_SIZE = 50;
+const NOTIFICATION_LOCK_MINUTES = 10;
+const REMINDER_HOURS = 24;
+
+function describeEvent(event) {
+  return [
+    event.title,
+    `When: ${new Date(event.eventDate).toUTCString()}`,
+    `Where: ${event.location}`,
+    `${clientUrl}/events/${event._id}`,
+  ].join("\n");
+}
+
+const NOTIFICATION_TEMPLATES = {
+  join_confirmed: (event) => ({
+    subject: `You're in: ${event.title}`,
+    text: `Thanks for joining!\n\n${describeEvent(event)}`,
+  }),
+  join_waitlisted: (event, { waitlistPosition }) => ({
+    subject: `You're on the waitlist: ${event.title}`,
+    text: `This event is full. You are #${waitlistPosition} on the waitlist and will be notified if a place opens up.\n\n${describeEvent(event)}`,
+  }),
+  waitlist_promoted: (event) => ({
+    subject: `A place opened up: ${event.title}`,
+    text: `You have been moved off the waitlist and are now confirmed.\n\n${describeEvent(event)}`,
+  }),
+  event_reminder: (event) => ({
+    subject: `Reminder: ${event.title} is coming up`,
+    text: `See you soon!\n\n${describeEvent(event)}`,
+  }),
+  event_updated: (event, { changedFields }) => ({
+    subject: `Updated: ${event.title}`,
+    text: `The organizer changed ${changedFields.join(", ")}.\n\n${describeEvent(event)}`,
+  }),
+  event_deleted: (event) => ({
+    subject: `Cancelled: ${event.title}`,
+    text: `This event has been cancelled by the organizer.\n\n${describeEvent(event)}`,
+  }),
+  event_restored: (event) => ({
+    subject: `Back on: ${event.title}`,
+    text: `This event is no longer cancelled. Your place has been kept.\n\n${describeEvent(event)}`,
+  }),
+  event_rejected: (event, { reason }) => ({
+    subject: `Your event was not approved: ${event.title}`,
+    text: `Reason: ${reason}\n\nYou can edit the event to submit it again.\n\n${describeEvent(event)}`,
+  }),
+  event_unpublished: (event, { reason }) => ({
+    subject: `Your event was unpublished: ${event.title}`,
+    text: `${reason ? `Reason: ${reason}\n\n` : ""}${describeEvent(event)}`,
+  }),
+};
+
+function buildNotification(type, to, event, data = {}) {
+  return {
+    type,
+    to,
+    eventId: event._id,
+    ...NOTIFICATION_TEMPLATES[type](event, data),
+  };
+}
+
+// joinedEvents snapshot -> the event fields the templates use
+function joinToEvent(join) {
+  return {
+    _id: join.eventId,
+    title: join.eventTitle,
+    eventDate: join.eventDate,
+    location: join.location,
+  };
+}
+
+// Failures are logged, not thrown: the triggering action already happened.
+// Messages with a dedupeKey that was queued before are skipped.
+async function queueNotifications(messages) {
+  let queued = 0;
+  for (const message of messages) {
+    try {
+      await notificationsCollection.insertOne({
+        ...message,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        createdAt: new Date(),
+      });
+      queued++;
+    } catch (err) {
+      if (err.code !== 11000) console.error("Queue notification error:", err);
+    }
+  }
+  return queued;
+}
+
+async function notifyParticipants(event, type, data) {
+  const participants = await joinedCollection
+    .find(
+      { eventId: event._id, status: { $ne: "withdrawn" } },
+      { projection: { userEmail: 1 } }
+    )
+    .toArray();
+
+  await queueNotifications(
+    participants.map((join) =>
+      buildNotification(type, join.userEmail, event, data)
+    )
+  );
+}
+
+// Queue one reminder per confirmed participant for events starting within
+// REMINDER_HOURS. The dedupe key includes the date, so a rescheduled event
+// gets a fresh reminder.
+async function queueDueReminders(now) {
+  const joins = await joinedCollection
+    .find({
+      status: CONFIRMED_STATUS,
+      eventDeletedAt: null,
+      eventDate: {
+        $gt: now,
+        $lte: new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000),
+      },
+    })
+    .toArray();
+
+  return queueNotifications(
+    joins.map((join) => ({
+      ...buildNotification("event_reminder", join.userEmail, joinToEvent(join)),
+      dedupeKey: `reminder:${join._id}:${new Date(join.eventDate).toISOString()}`,
+    }))
+  );
+}
+
+// NOTIFY_TRANSPORT picks how messages leave: "smtp", "file" (JSON lines in
+// NOTIFY_FILE) or "console". There is no default: without it nothing is
+// sent and messages stay pending, rather than being logged and lost.
+let mailTransport;
+
+function getMailTransport() {
+  if (mailTransport) return mailTransport;
+
+  const kind = process.env.NOTIFY_TRANSPORT;
+
+  if (!kind) return null;
+
+  if (kind === "smtp") {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    mailTransport = {
+      send: (message) =>
+        transporter.sendMail({
+          from: process.env.MAIL_FROM || process.env.SMTP_USER,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+        }),
+    };
+  } else if (kind === "file") {
+    const file =
+      process.env.NOTIFY_FILE || path.join(os.tmpdir(), "notifications.log");
+    mailTransport = {
+      send: (message) =>
+        fs.promises.appendFile(
+          file,
+          JSON.stringify({ ...message, deliveredAt: new Date() }) + "\n"
+        ),
+    };
+  } else if (kind === "console") {
+    mailTransport = {
+      send: async (message) =>
+        console.log(`📧 ${message.to}: ${message.subject}`),
+    };
+  } else {
+    throw new Error(`Unknown NOTIFY_TRANSPORT "${kind}".`);
+  }
+
+  return mailTransport;
+}
+
+// Send due messages, retrying failures with exponential backoff
+async function deliverNotifications(now) {
+  const summary = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+  const transport = getMailTransport();
+
+  if (!transport) {
+    console.error("NOTIFY_TRANSPORT is not set; messages stay pending.");
+    return { ...summary, transportMissing: true };
+  }
+
+  // Release messages left "sending" by a run that died mid-way
+  await notificationsCollection.updateMany(
+    {
+      status: "sending",
+      lockedAt: {
+        $lt: new Date(now.getTime() - NOTIFICATION_LOCK_MINUTES * 60 * 1000),
+      },
+    },
+    { $set: { status: "pending" } }
+  );
+
+  for (let i = 0; i < NOTIFICATION_BATCH_SIZE; i++) {
+    // Claim one message at a time so overlapping runs never send it twice
+    const message = await notificationsCollection.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      {
+        $set: { status: "sending", lockedAt: new Date() },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!message) break;
+
+    const user = await usersCollection.findOne({ email: message.to });
+    if (user && user.notificationsOptOut) {
+      await notificationsCollection.updateOne(
+        { _id: message._id },
+        { $set: { status: "skipped" } }
+      );
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const { type, to, subject, text, eventId } = message;
+      await transport.send({ type, to, subject, text, eventId });
+      await notificationsCollection.updateOne(
+        { _id: message._id },
+        { $set: { status: "sent", sentAt: new Date() } }
+      );
+      summary.sent++;
+    } catch (err) {
+      const giveUp = message.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+      await notificationsCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: giveUp ? "failed" : "pending",
+            lastError: err.message,
+            nextAttemptAt: new Date(
+              Date.now() + 2 ** message.attempts * 60 * 1000
+            ),
+          },
+        }
+      );
+      summary[giveUp ? "failed" : "retried"]++;
+    }
+  }
+
+  return summary;
+}
+
+// Vercel cron sends "Authorization: Bearer <CRON_SECRET>"
+function verifyCron(req, res, next) {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({
+      ok: false,
+      message: "CRON_SECRET is not configured.",
+    });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({
+      ok: false,
+      message: "Invalid cron secret.",
+    });
+  }
+
+  next();
+}
+
+// Worker: queue due reminders, deliver the outbox and retry webhooks
+app.get("/cron/notifications", verifyCron, async (req, res) => {
+  try {
+    const now = new Date();
+    // Scheduled publishing shares the hourly worker instead of its own cron
+    const eventsPublished = await publishScheduledEvents(now);
+    const remindersQueued = await queueDueReminders(now);
+    const delivery = await deliverNotifications(now);
+    // Webhook retries share the worker too
+    const webhooks = await deliverWebhooks(now);
+
+    res.json({
+      ok: true,
+      eventsPublished,
+      remindersQueued,
+      ...delivery,
+      webhooks,
+    });
+  } catch (err) {
+    console.error("Notification worker error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to process notifications",
+      error: err.message,
+    });
+  }
+});
+
+// Hard-delete events whose trash retention has run out
+app.get("/cron/purge-trash", verifyCron, async (req, res) => {
+  try {
+    const purged = await purgeDeletedEvents(new Date());
+
+    res.json({
+      ok: true,
+      purged,
+    });
+  } catch (err) {
+    console.error("Purge trash error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to purge deleted events",
+      error: err.message,
+    });
+  }
+});
+
+// Caller's notification settings
+app.get("/notifications/preferences", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email });
+
+    res.json({
+      ok: true,
+      optOut: Boolean(user && user.notificationsOptOut),
+    });
+  } catch (err) {
+    console.error("Get notification preferences error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load notification preferences",
+      error: err.message,
+    });
+  }
+});
+
+// Opt out of (or back into) all email notifications
+app.patch(
+  "/notifications/preferences",
+  verifyToken,
+  validateNotificationPrefs,
+  async (req, res) => {
+    try {
+      const result = await usersCollection.updateOne(
+        { email: req.user.email },
+        {
+          $set: {
+            notificationsOptOut: req.body.optOut,
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({
+          ok: false,
+          message: "User not found.",
+        });
+      }
+
+      res.json({
+        ok: true,
+        message: req.body.optOut
+          ? "You will no longer receive email notifications."
+          : "Email notifications are turned on.",
+      });
+    } catch (err) {
+      console.error("Update notification preferences error:", err);
+      res.status(500).json({
+        ok: false,
+        message: "Failed to update notification preferences",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// --- WEBHOOKS ---
+
+// Deliveries use an outbox like notifications: each one is tried as soon as
+// it is queued, and failures are retried by the cron worker with
+// exponential backoff. Payloads are signed with the subscription's secret:
+// X-Webhook-Signature is "sha256=" + HMAC-SHA256 of "<timestamp>.<body>",
+// with the timestamp sent in X-Webhook-Timestamp.
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_BATCH_SIZE = 50;
+const WEBHOOK_LOCK_MINUTES = 5;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Receivers must be public hosts, so webhooks cannot be used to reach the
+// server's own network. WEBHOOK_ALLOW_LOCALHOST=true lets loopback through
+// for a local test receiver.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  // NAT64 form of IPv4 addresses (IPv4-mapped ones match the IPv4 rules)
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+const LOOPBACK_ADDRESSES = new net.BlockList();
+LOOPBACK_ADDRESSES.addSubnet("127.0.0.0", 8, "ipv4");
+LOOPBACK_ADDRESSES.addAddress("::1", "ipv6");
+
+function isBlockedAddress(address) {
+  const type = net.isIPv4(address) ? "ipv4" : "ipv6";
+
+  if (LOOPBACK_ADDRESSES.check(address, type)) {
+    return process.env.WEBHOOK_ALLOW_LOCALHOST !== "true";
+  }
+  return PRIVATE_ADDRESSES.check(address, type);
+}
+
+// Resolve the URL's host; returns an error message when any of its
+// addresses is loopback, private or link-local
+async function checkWebhookUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return "The webhook host could not be resolved.";
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return "Webhooks must point to a public address.";
+  }
+  return null;
+}
+
+// Deliveries connect through this agent, which resolves the host itself and
+// refuses blocked addresses, so a host cannot pass checkWebhookUrl and then
+// resolve to an internal address for the actual request
+const BLOCKED_ADDRESS_ERROR = "EWEBHOOKBLOCKED";
+
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a blocked address.`);
+      blocked.code = BLOCKED_ADDRESS_ERROR;
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new undici.Agent({
+  connect: { lookup: lookupPublicAddress },
+});
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function signWebhook(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// The public view of an event sent to webhook receivers (who can upsert it
+// by id) and live streams
+function publicEvent(event) {
+  return {
+    id: event._id,
+    title: event.title,
+    description: event.description,
+    eventType: event.eventType,
+    thumbnail: event.thumbnail,
+    location: event.location,
+    latitude: event.geo?.coordinates[1] ?? null,
+    longitude: event.geo?.coordinates[0] ?? null,
+    eventDate: event.eventDate,
+    capacity: event.capacity ?? null,
+    durationHours: event.durationHours ?? null,
+    status: event.status || "published",
+    organizationId: event.organizationId ?? null,
+    seriesId: event.seriesId ?? null,
+    url: `${clientUrl}/events/${event._id}`,
+    deletedAt: event.deletedAt ?? null,
+  };
+}
+
+// Active subscriptions to `type` that cover the event
+function webhookFilter(type, event) {
+  const scopes = [
+    { scope: "all" },
+    {
+      scope: "organizer",
+      createdBy: { $in: [event.creatorEmail, ...(event.coOrganizers || [])] },
+    },
+  ];
+  if (event.organizationId) {
+    scopes.push({
+      scope: "organization",
+      organizationId: event.organizationId,
+    });
+  }
+  return { active: true, events: type, $or: scopes };
+}
+
+// Queue a delivery for every matching subscription and try them right
+// away. Not awaited, so receivers never slow the request down; a send cut
+// short (e.g. by a frozen serverless function) is retried by the cron
+// worker. Failures are logged, not thrown.
+async function emitWebhook(type, event, data = {}) {
+  try {
+    const webhooks = await webhooksCollection
+      .find(webhookFilter(type, event), { projection: { _id: 1 } })
+      .toArray();
+    if (webhooks.length === 0) return;
+
+    const now = new Date();
+    const payload = { event: publicEvent(event), ...data };
+    const result = await webhookDeliveriesCollection.insertMany(
+      webhooks.map((webhook) => ({
+        webhookId: webhook._id,
+        event: type,
+        payload,
+        status: "pending",
+        attempts: 0,
+        attemptLog: [],
+        nextAttemptAt: now,
+        createdAt: now,
+      }))
+    );
+
+    for (const id of Object.values(result.insertedIds)) {
+      claimDelivery({ _id: id }).then(
+        (delivery) => delivery && sendDelivery(delivery),
+        (err) => console.error("Webhook delivery error:", err)
+      );
+    }
+  } catch (err) {
+    console.error("Queue webhook error:", err);
+  }
+}
+
+// Webhooks for an event going from `before` (null when new) to `after`.
+// Receivers only mirror public events: an event that becomes public
+// arrives as event.created, one that is deleted or stops being public as
+// event.deleted, and nothing is sent while it is private.
+async function emitEventWebhook(before, after) {
+  // Every change webhooks report is also one live streams show
+  liveUpdates.emit("change", String(after._id));
+
+  const wasPublic = Boolean(before && isPublished(before));
+  if (isPublished(after)) {
+    await emitWebhook(wasPublic ? "event.updated" : "event.created", after);
+  } else if (wasPublic) {
+    await emitWebhook("event.deleted", after);
+  }
+}
+
+// participant.joined / participant.left for a join on a public event. The
+// participant is only identified by the opaque join id.
+async function emitParticipantWebhook(type, event, join) {
+  liveUpdates.emit("change", String(event._id));
+  if (!isPublished(event)) return;
+
+  await emitWebhook(type, event, {
+    participant: {
+      id: join._id,
+      status: join.status,
+      shift: join.shift?.name || null,
+    },
+    participantCount: await countConfirmed(event._id),
+  });
+}
+
+// Mark a due delivery as being sent so overlapping runs never send it twice
+function claimDelivery(filter) {
+  return webhookDeliveriesCollection.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    {
+      $set: { status: "sending", lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+  );
+}
+
+// POST the delivery to its webhook. Any 2xx answer counts as delivered.
+async function postWebhook(webhook, delivery) {
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  // Checked on every send as well: the host may resolve elsewhere by now.
+  // IP literals are only checked here; host names again on connecting.
+  const blocked = await checkWebhookUrl(webhook.url);
+  if (blocked) {
+    return { ok: false, statusCode: null, durationMs: 0, error: blocked };
+  }
+
+  try {
+    const response = await undici.fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "SocialEvents-Webhooks/1.0",
+        "X-Webhook-Id": String(delivery._id),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signWebhook(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      dispatcher: webhookAgent,
+    });
+    await response.body?.cancel();
+
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      durationMs: Date.now() - started,
+      error: response.ok ? null : `Receiver answered ${response.status}.`,
+    };
+  } catch (err) {
+    if (err.cause?.code === BLOCKED_ADDRESS_ERROR) {
+      return {
+        ok: false,
+        statusCode: null,
+        durationMs: 0,
+        error: "Webhooks must point to a public address.",
+      };
+    }
+
+    // Connection details stay in the server log, not the delivery log
+    if (err.name !== "TimeoutError") console.error("Webhook send error:", err);
+    return {
+      ok: false,
+      statusCode: null,
+      durationMs: Date.now() - started,
+      error:
+        err.name === "TimeoutError"
+          ? `No answer within ${WEBHOOK_TIMEOUT_MS / 1000} seconds.`
+          : "Could not connect to the receiver.",
+    };
+  }
+}
+
+// Send a claimed delivery and log the attempt. A failure is retried after
+// 2^attempts minutes until WEBHOOK_MAX_ATTEMPTS (or maxAttempts) is reached.
+// Returns the attempt with the delivery's new status.
+async function sendDelivery(delivery, maxAttempts = WEBHOOK_MAX_ATTEMPTS) {
+  const webhook = await webhooksCollection.findOne({
+    _id: delivery.webhookId,
+  });
+
+  if (!webhook || !webhook.active) {
+    await webhookDeliveriesCollection.updateOne(
+      { _id: delivery._id },
+      { $set: { status: "skipped" } }
+    );
+    return { status: "skipped" };
+  }
+
+  const attempt = await postWebhook(webhook, delivery);
+  const giveUp = delivery.attempts >= maxAttempts;
+  const status = attempt.ok ? "delivered" : giveUp ? "failed" : "pending";
+
+  const update = {
+    status,
+    lastStatusCode: attempt.statusCode,
+    lastError: attempt.error,
+  };
+  if (attempt.ok) update.deliveredAt = new Date();
+  if (status === "pending") {
+    update.nextAttemptAt = new Date(
+      Date.now() + 2 ** delivery.attempts * 60 * 1000
+    );
+  }
+
+  await webhookDeliveriesCollection.updateOne(
+    { _id: delivery._id },
+    {
+      $set: update,
+      $push: { attemptLog: { at: new Date(), ...attempt } },
+    }
+  );
+  await webhooksCollection.updateOne(
+    { _id: webhook._id },
+    {
+      $set: {
+        lastDeliveryAt: new Date(),
+        lastDeliveryStatus: attempt.ok ? "delivered" : "failed",
+      },
+    }
+  );
+
+  return { status, ...attempt };
+}
+
+// Cron worker: retry due deliveries
+async function deliverWebhooks(now) {
+  const summary = { delivered: 0, retried: 0, failed: 0, skipped: 0 };
+
+  // Release deliveries left "sending" by a run that died mid-way
+  await webhookDeliveriesCollection.updateMany(
+    {
+      status: "sending",
+      lockedAt: {
+        $lt: new Date(now.getTime() - WEBHOOK_LOCK_MINUTES * 60 * 1000),
+      },
+    },
+    { $set: { status: "pending" } }
+  );
+
+  for (let i = 0; i < WEBHOOK_BATCH_SIZE; i++) {
+    const delivery = await claimDelivery({ nextAttemptAt: { $lte: now } });
+    if (!delivery) break;
+
+    const { status } = await sendDelivery(delivery);
+    summary[status === "pending" ? "retried" : status]++;
+  }
+
+  return summary;
+}
+
+// Creator, owner/admin of the webhook's organization, or site admin
+async function canManageWebhook(webhook, email) {
+  if (webhook.createdBy === email) return true;
+  if (webhook.organizationId) {
+    const role = await getMemberRole(webhook.organizationId, email);
+    if (role === "owner" || role === "admin") return true;
+  }
+  return isAdmin(email);
+}
+
+// Load the :id webhook for a caller allowed to manage it. Sends the error
+// response and returns null otherwise.
+async function loadWebhook(req, res) {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({
+      ok: false,
+      message: "Invalid webhook id.",
+    });
+    return null;
+  }
+
+  const webhook = await webhooksCollection.findOne({ _id: new ObjectId(id) });
+
+  if (!webhook) {
+    res.status(404).json({
+      ok: false,
+      message: "Webhook not found.",
+    });
+    return null;
+  }
+
+  if (!(await canManageWebhook(webhook, req.user.email))) {
+    res.status(403).json({
+      ok: false,
+      message: "You are not allowed to manage this webhook.",
+    });
+    return null;
+  }
+
+  return webhook;
+}
+
+// The secret is only shown when it is created or rotated
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Subscribe a URL to event changes. The signing secret is returned once.
+app.post("/webhooks", verifyToken, validateWebhook, async (req, res) => {
+  try {
+    const { url, events, organizationId, description } = req.body;
+    const email = req.user.email;
+    const admin = await isAdmin(email);
+
+    const blocked = await checkWebhookUrl(url);
+    if (blocked) {
       return res.status(400).json({
         ok: false,
-        message: "Invalid event id.",
+        message: blocked,
       });
     }
 
-    if (!requestorEmail) {
-      return res.status(400).json({
-        ok: false,
-        message: "requestorEmail is required.",
-      });
+    let scope = admin ? "all" : "organizer";
+    if (organizationId) {
+      const role = await getMemberRole(new ObjectId(organizationId), email);
+      if (!admin && role !== "owner" && role !== "admin") {
+        return res.status(403).json({
+          ok: false,
+          message:
+            "Only owners and admins of the organization can add its webhooks.",
+        });
+      }
+      scope = "organization";
     }
 
-    const existing = await eventsCollection.findOne({
-      _id: new ObjectId(id),
+    const doc = {
+      url,
+      events,
+      description: description || "",
+      scope,
+      createdBy: email,
+      secret: generateWebhookSecret(),
+      active: true,
+      createdAt: new Date(),
+    };
+    if (organizationId) doc.organizationId = new ObjectId(organizationId);
+
+    const result = await webhooksCollection.insertOne(doc);
+
+    res.status(201).json({
+      ok: true,
+      message: "Webhook created. Store the secret now; it is not shown again.",
+      webhookId: result.insertedId,
+      scope,
+      secret: doc.secret,
+    });
+  } catch (err) {
+    console.error("Create webhook error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create webhook",
+      error: err.message,
     });
+  }
+});
 
-    if (!existing) {
-      return res.status(404).json({
-        ok: false,
-        message: "Event not found.",
-      });
-    }
+// Webhooks the caller can manage (all of them for admins)
+app.get("/webhooks", verifyToken, async (req, res) => {
+  try {
+    const email = req.user.email;
+    let filter = {};
 
-    if (existing.creatorEmail !== requestorEmail) {
-      return res.status(403).json({
-        ok: false,
-        message: "You are not allowed to update this event.",
-      });
+    if (!(await isAdmin(email))) {
+      const organizations = await organizationsCollection
+        .find(
+          {
+            members: {
+              $elemMatch: { email, role: { $in: ["owner", "admin"] } },
+            },
+          },
+          { projection: { _id: 1 } }
+        )
+        .toArray();
+      filter = {
+        $or: [
+          { createdBy: email },
+          { organizationId: { $in: organizations.map((o) => o._id) } },
+        ],
+      };
     }
 
-    if (
-      !title ||
-      !description ||
-      !eventType ||
-      !thumbnail ||
-      !location ||
-      !eventDate
-    ) {
-      return res.status(400).json({
+    const webhooks = await webhooksCollection
+      .find(filter, { projection: { secret: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      ok: true,
+      count: webhooks.length,
+      webhooks,
+    });
+  } catch (err) {
+    console.error("Get webhooks error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load webhooks",
+      error: err.message,
+    });
+  }
+});
+
+// Change the URL, events or description, pause/resume with `active`, or
+// issue a new secret with rotateSecret: true
+app.patch(
+  "/webhooks/:id",
+  verifyToken,
+  validateWebhookUpdate,
+  async (req, res) => {
+    try {
+      const webhook = await loadWebhook(req, res);
+      if (!webhook) return;
+
+      const { rotateSecret, ...fields } = req.body;
+
+      const blocked = fields.url && (await checkWebhookUrl(fields.url));
+      if (blocked) {
+        return res.status(400).json({
+          ok: false,
+          message: blocked,
+        });
+      }
+      const update = { ...fields, updatedAt: new Date() };
+      if (rotateSecret) update.secret = generateWebhookSecret();
+
+      await webhooksCollection.updateOne(
+        { _id: webhook._id },
+        { $set: update }
+      );
+
+      res.json({
+        ok: true,
+        message: "Webhook updated.",
+        webhook: publicWebhook({ ...webhook, ...update }),
+        secret: rotateSecret ? update.secret : undefined,
+      });
+    } catch (err) {
+      console.error("Update webhook error:", err);
+      res.status(500).json({
         ok: false,
-        message: "All fields are required.",
+        message: "Failed to update webhook",
+        error: err.message,
       });
     }
+  }
+);
 
-    const eventDateObj = new Date(eventDate);
-    const now = new Date();
+// Remove a webhook with its delivery log
+app.delete("/webhooks/:id", verifyToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
 
-    if (isNaN(eventDateObj.getTime())) {
-      return res.status(400).json({
-        ok: false,
-        message: "Invalid event date.",
-      });
+    await webhooksCollection.deleteOne({ _id: webhook._id });
+    await webhookDeliveriesCollection.deleteMany({ webhookId: webhook._id });
+
+    res.json({
+      ok: true,
+      message: "Webhook deleted.",
+    });
+  } catch (err) {
+    console.error("Delete webhook error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to delete webhook",
+      error: err.message,
+    });
+  }
+});
+
+// Delivery log, newest first, optionally by ?status=
+app.get("/webhooks/:id/deliveries", verifyToken, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({ ok: false, message: pagination.error });
     }
 
-    if (eventDateObj <= now) {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const { page, limit } = pagination;
+    const [deliveries, total] = await Promise.all([
+      webhookDeliveriesCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      webhookDeliveriesCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      ok: true,
+      count: deliveries.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      deliveries,
+    });
+  } catch (err) {
+    console.error("Get webhook deliveries error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load webhook deliveries",
+      error: err.message,
+    });
+  }
+});
+
+// Send a signed "ping" now and report whether it was delivered. Test
+// deliveries are logged but never retried. The answer leaves out status
+// codes, timings and errors so it cannot be used to probe hosts and ports.
+app.post("/webhooks/:id/test", verifyToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
       return res.status(400).json({
         ok: false,
-        message: "Event date must be a future date.",
+        message: "Activate the webhook before testing it.",
       });
     }
 
-    const updateDoc = {
-      $set: {
-        title,
-        description,
-        eventType,
-        thumbnail,
-        location,
-        eventDate: eventDateObj,
-      },
-    };
+    const now = new Date();
+    const result = await webhookDeliveriesCollection.insertOne({
+      webhookId: webhook._id,
+      event: "ping",
+      payload: { webhookId: webhook._id, sentBy: req.user.email },
+      test: true,
+      status: "pending",
+      attempts: 0,
+      attemptLog: [],
+      nextAttemptAt: now,
+      createdAt: now,
+    });
 
-    const result = await eventsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      updateDoc
-    );
+    const delivery = await claimDelivery({ _id: result.insertedId });
+    const attempt = await sendDelivery(delivery, 1);
 
     res.json({
       ok: true,
-      message: "Event updated successfully.",
-      modifiedCount: result.modifiedCount,
+      message: attempt.ok
+        ? "Test delivery succeeded."
+        : "Test delivery failed.",
+      deliveryId: result.insertedId,
+      delivered: attempt.ok,
     });
   } catch (err) {
-    console.error("Update event error:", err);
+    console.error("Test webhook error:", err);
     res.status(500).json({
       ok: false,
-      message: "Failed to update event",
+      message: "Failed to test webhook",
       error: err.message,
     });
   }
 });
 
-// --- JOIN EVENT + JOINED EVENTS ---
+// --- LIVE UPDATES (Server-Sent Events) ---
 
-// Join event
-app.post("/join-event", async (req, res) => {
+// Streams read from the database: each connection reloads its data every
+// LIVE_POLL_MS, and at once when this instance changes an event. Serverless
+// instances share no memory, so the poll is what carries changes made by
+// other instances. On Vercel a stream ends after LIVE_STREAM_SECONDS, before
+// the function time limit, and EventSource reconnects by itself after
+// `retry`. Clients that do not ask for text/event-stream, or every client
+// when LIVE_STREAMING=off, get the current data as JSON to poll instead.
+const LIVE_POLL_MS = 5000;
+const LIVE_HEARTBEAT_MS = 15000;
+const LIVE_RETRY_MS = 2000;
+const LIVE_STREAM_SECONDS = Number(
+  process.env.LIVE_STREAM_SECONDS ?? (process.env.VERCEL ? 9 : 0)
+);
+
+// Emits "change" with the event id whenever this instance changes an event
+const liveUpdates = new EventEmitter();
+liveUpdates.setMaxListeners(0);
+
+function wantsStream(req) {
+  return (
+    process.env.LIVE_STREAMING !== "off" &&
+    req.accepts(["application/json", "text/event-stream"]) ===
+      "text/event-stream"
+  );
+}
+
+// Answer with `load()` as a Server-Sent Events stream. `load` returns
+// { messages: [{ event, data }], end }; a message is only sent again when
+// its data changed. `watch(eventId)` says which changes should reload it.
+function streamLive(req, res, load, watch) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+
+  const sent = {};
+  let closed = false;
+  let loading = false;
+  let reloadAgain = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    clearInterval(heartbeat);
+    clearTimeout(lifetime);
+    liveUpdates.off("change", onChange);
+    res.end();
+  };
+
+  const reload = async () => {
+    if (closed) return;
+    if (loading) {
+      reloadAgain = true;
+      return;
+    }
+    loading = true;
+
+    try {
+      const { messages, end } = await load();
+      for (const { event, data } of messages) {
+        const json = JSON.stringify(data);
+        if (sent[event] === json) continue;
+        sent[event] = json;
+        res.write(`event: ${event}\ndata: ${json}\n\n`);
+      }
+      if (end) close();
+    } catch (err) {
+      console.error("Live stream error:", err);
+      close();
+    }
+
+    loading = false;
+    if (reloadAgain) {
+      reloadAgain = false;
+      reload();
+    }
+  };
+
+  const onChange = (eventId) => {
+    if (watch(eventId)) reload();
+  };
+
+  const poll = setInterval(reload, LIVE_POLL_MS);
+  // A comment line keeps proxies from closing an idle connection
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    LIVE_HEARTBEAT_MS
+  );
+  const lifetime =
+    LIVE_STREAM_SECONDS && setTimeout(close, LIVE_STREAM_SECONDS * 1000);
+  liveUpdates.on("change", onChange);
+  req.on("close", close);
+
+  reload();
+}
+
+// Counts (and shift fill) for the live view of one event
+async function loadLiveCounts(event) {
+  const [participantCount, waitlistCount] = await Promise.all([
+    countConfirmed(event._id),
+    joinedCollection.countDocuments({
+      eventId: event._id,
+      status: "waitlisted",
+    }),
+  ]);
+
+  const counts = {
+    participantCount,
+    waitlistCount,
+    capacity: event.capacity ?? null,
+    spotsLeft: event.capacity
+      ? Math.max(event.capacity - participantCount, 0)
+      : null,
+    isFull: Boolean(event.capacity && participantCount >= event.capacity),
+  };
+  if (event.shifts?.length) counts.shifts = await getShiftFill(event);
+  return counts;
+}
+
+// Upcoming events with their participant counts, for the list view.
+// Accepts the same query as GET /events/upcoming.
+app.get("/events/upcoming/live", async (req, res) => {
   try {
-    const { eventId, userEmail } = req.body;
+    const listQuery = upcomingListQuery(req.query);
 
-    if (!eventId || !userEmail) {
+    if (listQuery.error) {
       return res.status(400).json({
         ok: false,
-        message: "eventId and userEmail are required.",
+        message: listQuery.error,
       });
     }
 
-    if (!ObjectId.isValid(eventId)) {
-      return res.status(400).json({
-        ok: false,
-        message: "Invalid eventId.",
+    const load = async () => {
+      const { events, total } = await findEventPage(
+        upcomingListQuery(req.query)
+      );
+      const joined = await joinedCollection
+        .aggregate([
+          {
+            $match: {
+              eventId: { $in: events.map((e) => e._id) },
+              status: CONFIRMED_STATUS,
+            },
+          },
+          { $group: { _id: "$eventId", count: { $sum: 1 } } },
+        ])
+        .toArray();
+
+      return {
+        messages: [
+          {
+            event: "upcoming",
+            data: {
+              total,
+              events: events.map((event) => ({
+                id: event._id,
+                title: event.title,
+                eventDate: event.eventDate,
+                capacity: event.capacity ?? null,
+                participantCount:
+                  joined.find((j) => j._id.equals(event._id))?.count || 0,
+              })),
+            },
+          },
+        ],
+      };
+    };
+
+    if (!wantsStream(req)) {
+      const { messages } = await load();
+      return res.json({
+        ok: true,
+        live: false,
+        pollIntervalMs: LIVE_POLL_MS,
+        ...messages[0].data,
       });
     }
 
-    const event = await eventsCollection.findOne({
-      _id: new ObjectId(eventId),
+    streamLive(req, res, load, () => true);
+  } catch (err) {
+    console.error("Live upcoming events error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to load upcoming events",
+      error: err.message,
     });
+  }
+});
 
-    if (!event) {
-      return res.status(404).json({
+// Join/leave counts and edits for one event. Sends `counts` and `event`
+// messages as they change, and `unavailable` (then closes) once the event
+// is deleted or unpublished.
+app.get("/events/:id/live", optionalToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
         ok: false,
-        message: "Event not found.",
+        message: "Invalid event id.",
       });
     }
 
-    const existing = await joinedCollection.findOne({
-      eventId: event._id,
-      userEmail,
-    });
+    const eventId = new ObjectId(id);
+    const first = await eventsCollection.findOne({ _id: eventId });
 
-    if (existing) {
-      return res.status(400).json({
+    if (!first || !(await canViewEvent(first, req.user))) {
+      return res.status(404).json({
         ok: false,
-        message: "You have already joined this event.",
+        message: "Event not found.",
       });
     }
 
-    const joinDoc = {
-      eventId: event._id,
-      userEmail,
-      joinedAt: new Date(),
-      eventTitle: event.title,
-      eventType: event.eventType,
-      thumbnail: event.thumbnail,
-      location: event.location,
-      eventDate: event.eventDate,
-      creatorEmail: event.creatorEmail,
+    const load = async () => {
+      const event = await eventsCollection.findOne({ _id: eventId });
+
+      if (!event || !(await canViewEvent(event, req.user))) {
+        return {
+          messages: [
+            {
+              event: "unavailable",
+              data: { eventId, deleted: !event || Boolean(event.deletedAt) },
+            },
+          ],
+          end: true,
+        };
+      }
+
+      return {
+        messages: [
+          { event: "event", data: publicEvent(event) },
+          { event: "counts", data: await loadLiveCounts(event) },
+        ],
+      };
     };
 
-    const result = await joinedCollection.insertOne(joinDoc);
+    if (!wantsStream(req)) {
+      return res.json({
+        ok: true,
+        live: false,
+        pollIntervalMs: LIVE_POLL_MS,
+        event: publicEvent(first),
+        counts: await loadLiveCounts(first),
+      });
+    }
 
-    res.status(201).json({
-      ok: true,
-      message: "You have successfully joined this event.",
-      joinId: result.insertedId,
-    });
+    streamLive(req, res, load, (changed) => changed === id);
   } catch (err) {
-    console.error("Join event error:", err);
+    console.error("Live event error:", err);
     res.status(500).json({
       ok: false,
-      message: "Failed to join event.",
+      message: "Failed to load event",
       error: err.message,
     });
   }
 });
 
-// Delete event (only creator)
-app.delete("/events/:id", async (req, res) => {
+// --- CALENDAR (iCalendar) ---
+
+// Length of a calendar entry for events without durationHours
+const CALENDAR_EVENT_MINUTES = 120;
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+}
+
+function icsText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 lines are at most 75 octets; longer ones continue after CRLF + space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function buildVEvent(event) {
+  const start = new Date(event.eventDate);
+  const minutes = event.durationHours
+    ? event.durationHours * 60
+    : CALENDAR_EVENT_MINUTES;
+  const end = new Date(start.getTime() + minutes * 60000);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event._id}@social-events`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SEQUENCE:${event.revision || 0}`,
+    `LAST-MODIFIED:${icsDate(event.updatedAt || event.createdAt || start)}`,
+    `SUMMARY:${icsText(event.title)}`,
+    `DESCRIPTION:${icsText(event.description)}`,
+    `LOCATION:${icsText(event.location)}`,
+    `CATEGORIES:${icsText(event.eventType)}`,
+    `URL:${clientUrl}/events/${event._id}`,
+    `ORGANIZER:mailto:${event.creatorEmail}`,
+    "END:VEVENT",
+  ];
+}
+
+function buildCalendar(events, name) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Social Events Platform//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) {
+    lines.push(
+      `X-WR-CALNAME:${icsText(name)}`,
+      "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+      "X-PUBLISHED-TTL:PT1H"
+    );
+  }
+  for (const event of events) lines.push(...buildVEvent(event));
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Download a single event as .ics
+app.get("/events/:id/calendar.ics", optionalToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { requestorEmail } = req.body;
 
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -963,81 +7305,131 @@ app.delete("/events/:id", async (req, res) => {
       });
     }
 
-    if (!requestorEmail) {
-      return res.status(400).json({
-        ok: false,
-        message: "requestorEmail is required.",
-      });
-    }
-
-    const existing = await eventsCollection.findOne({
-      _id: new ObjectId(id),
-    });
+    const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
 
-    if (!existing) {
+    if (!event || !(await canViewEvent(event, req.user))) {
       return res.status(404).json({
         ok: false,
         message: "Event not found.",
       });
     }
 
-    if (existing.creatorEmail !== requestorEmail) {
-      return res.status(403).json({
+    res
+      .type("text/calendar; charset=utf-8")
+      .attachment(`event-${event._id}.ics`)
+      .send(buildCalendar([event]));
+  } catch (err) {
+    console.error("Event calendar error:", err);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to build event calendar",
+      error: err.message,
+    });
+  }
+});
+
+// Get (or with { rotate: true } replace) the caller's calendar feed token
+app.post("/calendar/token", verifyToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.user.email });
+
+    if (!user) {
+      return res.status(404).json({
         ok: false,
-        message: "You are not allowed to delete this event.",
+        message: "User not found.",
       });
     }
 
-    // Delete the event
-    await eventsCollection.deleteOne({ _id: new ObjectId(id) });
+    let token = user.calendarToken;
 
-    // Also delete related joined events
-    await joinedCollection.deleteMany({ eventId: new ObjectId(id) });
+    if (!token || req.body?.rotate === true) {
+      token = crypto.randomBytes(24).toString("base64url");
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { calendarToken: token, updatedAt: new Date() } }
+      );
+    }
 
     res.json({
       ok: true,
-      message: "Event deleted successfully.",
+      token,
+      feedPath: `/calendar/${token}.ics`,
     });
   } catch (err) {
-    console.error("Delete event error:", err);
+    console.error("Calendar token error:", err);
     res.status(500).json({
       ok: false,
-      message: "Failed to delete event",
+      message: "Failed to get calendar token",
       error: err.message,
     });
   }
 });
 
-// Joined events for user
-app.get("/joined", async (req, res) => {
+// Subscribable feed of the events a user has joined or is waitlisted for
+app.get("/calendar/:file", async (req, res) => {
   try {
-    const userEmail = req.query.email;
+    const token = req.params.file.replace(/\.ics$/, "");
+    const user = token
+      ? await usersCollection.findOne({ calendarToken: token })
+      : null;
 
-    if (!userEmail) {
-      return res.status(400).json({
+    if (!user) {
+      return res.status(404).json({
         ok: false,
-        message: "User email is required.",
+        message: "Calendar not found.",
       });
     }
 
-    const joinedEvents = await joinedCollection
-      .find({ userEmail })
+    const joined = await joinedCollection
+      .find({ userEmail: user.email, status: { $ne: "withdrawn" } })
+      .toArray();
+
+    const events = await eventsCollection
+      .find({
+        _id: { $in: joined.map((j) => j.eventId) },
+        ...PUBLISHED_FILTER,
+      })
       .sort({ eventDate: 1 })
       .toArray();
 
-    res.json({
-      ok: true,
-      count: joinedEvents.length,
-      joinedEvents,
-    });
+    res
+      .type("text/calendar; charset=utf-8")
+      .send(buildCalendar(events, "My Social Events"));
   } catch (err) {
-    console.error("Get joined events error:", err);
+    console.error("Calendar feed error:", err);
     res.status(500).json({
       ok: false,
-      message: "Failed to load joined events",
+      message: "Failed to build calendar feed",
+      error: err.message,
+    });
+  }
+});
+
+// Errors thrown before a route runs (malformed or oversized bodies) get the
+// same JSON shape as every other error
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({
+      ok: false,
+      message: `Request body is larger than the ${err.limit} byte limit.`,
+      error: err.message,
+    });
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      ok: false,
+      message: "Request body is not valid JSON.",
       error: err.message,
     });
   }
+
+  console.error("Unhandled error:", err);
+  res.status(err.status || 500).json({
+    ok: false,
+    message: "Something went wrong.",
+    error: err.message,
+  });
 });
 
 // --- Export for Vercel OR start locally ---